@@ -1,214 +1,645 @@
 // ============================================================
 // server.js — Pure Node.js HTTP Server (no frameworks)
 //   • POST /graphql   – executes GraphQL queries & mutations
-//   • GET  /graphql   – serves a built-in GraphiQL IDE page
+//   • GET  /graphql   – executes queries, or serves a built-in
+//                       GraphiQL IDE page to browsers
 //   • GET  /          – simple welcome message
 //
 //   Run:  node server.js
 //   URL:  http://localhost:4000/graphql
 // ============================================================
 
-var http = require("http");
+var http   = require("http");
+var crypto = require("crypto");
+var fs     = require("fs");
+var path   = require("path");
 
 var PORT = 3000;
 
+// signs bearer tokens — set TOKEN_SECRET to keep tokens valid across restarts
+var TOKEN_SECRET = process.env.TOKEN_SECRET || crypto.randomBytes(32).toString("hex");
+
+// lifetime of an issued token, in seconds
+var TOKEN_TTL = 24 * 60 * 60;
+
+// "memory" keeps data for the life of the process; "file" journals
+// every write to DATA_DIR and survives restarts and crashes
+var STORAGE_MODE = process.env.STORAGE || "memory";
+var DATA_DIR     = process.env.DATA_DIR || path.join(__dirname, "data");
+
+// journal entries between two snapshots in "file" mode
+var SNAPSHOT_EVERY = 100;
+
+// operations over any of these are refused before they run — see QUERY ANALYSIS
+var QUERY_LIMITS = { maxDepth: 10, maxCost: 1000, maxBreadth: 50 };
+
+// report per-request loader batch counts in the response's `extensions`;
+// off unless REPORT_LOADER_STATS=true, since they expose internals
+var REPORT_LOADER_STATS = process.env.REPORT_LOADER_STATS === "true";
+
+// persisted queries: a JSON file of { sha256Hash: query } loaded at boot, and
+// whether only those may run (an allow-list) — see Documents
+var PERSISTED_QUERIES_FILE = process.env.PERSISTED_QUERIES_FILE || null;
+var PERSISTED_QUERIES_ONLY = process.env.PERSISTED_QUERIES_ONLY === "true";
+
+// parsed and validated documents kept in memory, least recently used dropped first
+var DOCUMENT_CACHE_SIZE = 200;
+
+// queries registered by clients through APQ, least recently used dropped first
+var PERSISTED_QUERY_CACHE_SIZE = 1000;
+
+// operations allowed in one batched POST (a JSON array of requests)
+var MAX_BATCH_SIZE = 10;
+
+// seconds a shared cache may keep an anonymous, error-free GET result
+var GET_CACHE_MAX_AGE = 60;
+
+// what deleteUser does with the user's posts and comments:
+// "CASCADE", "REASSIGN" or "RESTRICT" — see deleteUser
+var USER_DELETE_POLICY = process.env.USER_DELETE_POLICY || "RESTRICT";
+
+// ============================================================
+// ERRORS
+// Validation and execution errors are GraphQLErrors, serialised
+// as { message, locations, path, extensions: { code } }. Clients
+// branch on extensions.code rather than on the message text.
+// ============================================================
+function GraphQLError(message, nodes, path, extensions) {
+  this.name       = 'GraphQLError';
+  this.message    = message;
+  this.locations  = undefined;
+  this.path       = path || undefined;
+  this.extensions = extensions || {};
+  Error.captureStackTrace(this, GraphQLError);
+
+  var locations = [];
+  (nodes || []).forEach(function(node) {
+    if (node && node.loc) { locations.push({ line: node.loc.line, column: node.loc.column }); }
+  });
+  if (locations.length) { this.locations = locations; }
+}
+
+GraphQLError.prototype = Object.create(Error.prototype);
+GraphQLError.prototype.constructor = GraphQLError;
+
+GraphQLError.prototype.toJSON = function() {
+  var out = { message: this.message };
+  if (this.locations) { out.locations = this.locations; }
+  if (this.path)      { out.path = this.path; }
+  out.extensions = this.extensions;
+  return out;
+};
+
+// --- coded errors thrown by resolvers ---
+function codedError(code, message) {
+  return new GraphQLError(message, null, null, { code: code });
+}
+
+function notFoundError(message)  { return codedError('NOT_FOUND', message); }
+function userInputError(message) { return codedError('BAD_USER_INPUT', message); }
+function unauthenticatedError(message) { return codedError('UNAUTHENTICATED', message); }
+function forbiddenError(message) { return codedError('FORBIDDEN', message); }
+
+// --- attach field nodes and response path to whatever a resolver threw ---
+//   Errors that already carry a path were located further down the tree and
+//   are passed through untouched; anything that is not a GraphQLError is
+//   an unexpected failure and is reported as INTERNAL_SERVER_ERROR.
+function locatedError(err, nodes, path) {
+  if (err instanceof GraphQLError && err.path) {
+    return err;
+  }
+  var message    = err && err.message ? err.message : String(err);
+  var extensions = err instanceof GraphQLError && err.extensions.code
+    ? err.extensions
+    : { code: 'INTERNAL_SERVER_ERROR' };
+  var located = new GraphQLError(message, nodes, path, extensions);
+  if (err && err.stack) { located.stack = err.stack; }
+  return located;
+}
+
 // ============================================================
 // TOKENISER (inlined from parser.js)
-// Breaks a raw query string into an array of { type, value }.
+// Breaks a raw query string into an array of { type, value, loc },
+// where loc is the token's 1-based { line, column }, following
+// the lexical grammar of the GraphQL spec. The array always ends
+// with an EOF token. Anything the grammar does not allow is a
+// syntax error — nothing is silently skipped.
 // ============================================================
+
+// --- expected-token labels and token descriptions, for syntax errors ---
+var TOKEN_LABELS = {
+  BANG: '"!"', DOLLAR: '"$"', AMP: '"&"', LPAREN: '"("', RPAREN: '")"', SPREAD: '"..."',
+  COLON: '":"', EQUALS: '"="', AT: '"@"', LBRACKET: '"["', RBRACKET: '"]"',
+  LBRACE: '"{"', PIPE: '"|"', RBRACE: '"}"',
+  NAME: 'Name', INT: 'Int', FLOAT: 'Float', STRING: 'String', BLOCK_STRING: 'BlockString', EOF: '<EOF>'
+};
+
+function describeToken(tok) {
+  switch (tok.type) {
+    case 'EOF':          return '<EOF>';
+    case 'NAME':         return 'Name "' + tok.value + '"';
+    case 'INT':          return 'Int "' + tok.value + '"';
+    case 'FLOAT':        return 'Float "' + tok.value + '"';
+    case 'STRING':       return 'String ' + JSON.stringify(tok.value);
+    case 'BLOCK_STRING': return 'BlockString ' + JSON.stringify(tok.value);
+    default:             return TOKEN_LABELS[tok.type];
+  }
+}
+
+// --- "Syntax Error: <description> at line:column" ---
+function syntaxError(loc, description) {
+  return new GraphQLError(
+    'Syntax Error: ' + description + ' at ' + loc.line + ':' + loc.column,
+    [{ loc: loc }], null, { code: 'GRAPHQL_PARSE_FAILED' }
+  );
+}
+
+var PUNCTUATORS = {
+  '!': 'BANG', '$': 'DOLLAR', '&': 'AMP', '(': 'LPAREN', ')': 'RPAREN', ':': 'COLON', '=': 'EQUALS',
+  '@': 'AT', '[': 'LBRACKET', ']': 'RBRACKET', '{': 'LBRACE', '|': 'PIPE', '}': 'RBRACE'
+};
+
+// single-character escapes allowed in "quoted" strings
+var STRING_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+function isDigit(ch)     { return ch >= '0' && ch <= '9'; }
+function isNameStart(ch) { return (ch >= 'a' && ch <= 'z') || (ch >= 'A' && ch <= 'Z') || ch === '_'; }
+
+// --------------------------------------------------------
+// Block string value: strip the indentation common to every
+// line after the first, then drop blank leading and trailing
+// lines (the spec's BlockStringValue algorithm).
+// --------------------------------------------------------
+function blockStringValue(raw) {
+  var lines = raw.split(/\r\n|[\n\r]/);
+  var indentOf = function(text) {
+    var n = 0;
+    while (n < text.length && (text[n] === ' ' || text[n] === '\t')) n++;
+    return n;
+  };
+
+  var common = null;
+  for (var n = 1; n < lines.length; n++) {
+    var indent = indentOf(lines[n]);
+    if (indent < lines[n].length && (common === null || indent < common)) common = indent;
+  }
+  if (common) {
+    for (var m = 1; m < lines.length; m++) lines[m] = lines[m].slice(common);
+  }
+
+  var isBlank = function(text) { return indentOf(text) === text.length; };
+  while (lines.length && isBlank(lines[0]))                lines.shift();
+  while (lines.length && isBlank(lines[lines.length - 1])) lines.pop();
+  return lines.join('\n');
+}
+
 function tokenize(source) {
   var tokens = [];
   var i = 0;
   var len = source.length;
+  var line = 1;
+  var lineStart = 0;
+
+  // position of source[pos] — pos must be on the current line
+  function locAt(pos) {
+    return { line: line, column: pos - lineStart + 1 };
+  }
+
+  // a character as it appears in messages: "x", "\u0007" or <EOF>
+  function printChar(pos) {
+    if (pos >= len) return '<EOF>';
+    var code = source.charCodeAt(pos);
+    if (code >= 0x20 && code < 0x7f) return JSON.stringify(source[pos]);
+    return '"\\u' + ('000' + code.toString(16).toUpperCase()).slice(-4) + '"';
+  }
+
+  // one or more digits starting at pos → position after them
+  function readDigits(pos) {
+    if (!isDigit(source[pos])) {
+      throw syntaxError(locAt(pos), 'Invalid number, expected digit but got: ' + printChar(pos));
+    }
+    while (isDigit(source[pos])) pos++;
+    return pos;
+  }
 
   while (i < len) {
     var ch = source[i];
+    var loc = locAt(i);
+
+    // --- line terminators (\n, \r\n or a lone \r) ---
+    if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') { i++; }
+      i++;
+      line++;
+      lineStart = i;
+      continue;
+    }
 
-    // --- skip whitespace & commas (commas are insignificant in GraphQL) ---
-    if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' || ch === ',') {
+    // --- skip whitespace, commas and a byte-order mark (all insignificant) ---
+    if (ch === ' ' || ch === '\t' || ch === ',' || ch === '\uFEFF') {
       i++;
       continue;
     }
 
+    // --- comment: # to the end of the line ---
+    if (ch === '#') {
+      while (i < len && source[i] !== '\n' && source[i] !== '\r') i++;
+      continue;
+    }
+
     // --- single-character punctuation ---
-    if (ch === '{') { tokens.push({ type: 'LBRACE',   value: '{' }); i++; continue; }
-    if (ch === '}') { tokens.push({ type: 'RBRACE',   value: '}' }); i++; continue; }
-    if (ch === '(') { tokens.push({ type: 'LPAREN',   value: '(' }); i++; continue; }
-    if (ch === ')') { tokens.push({ type: 'RPAREN',   value: ')' }); i++; continue; }
-    if (ch === '[') { tokens.push({ type: 'LBRACKET', value: '[' }); i++; continue; }
-    if (ch === ']') { tokens.push({ type: 'RBRACKET', value: ']' }); i++; continue; }
-    if (ch === ':') { tokens.push({ type: 'COLON',    value: ':' }); i++; continue; }
-    if (ch === '!') { tokens.push({ type: 'BANG',     value: '!' }); i++; continue; }
-
-    // --- string literal (double-quoted) ---
-    if (ch === '"') {
-      i++; // skip opening quote
-      var str = '';
-      while (i < len && source[i] !== '"') {
-        if (source[i] === '\\') {
-          i++;
-          if (source[i] === 'n')       { str += '\n'; }
-          else if (source[i] === 't')  { str += '\t'; }
-          else if (source[i] === '"')  { str += '"'; }
-          else if (source[i] === '\\') { str += '\\'; }
-          else { str += source[i]; }
-        } else {
-          str += source[i];
-        }
-        i++;
+    if (PUNCTUATORS[ch]) {
+      tokens.push({ type: PUNCTUATORS[ch], value: ch, loc: loc });
+      i++;
+      continue;
+    }
+
+    // --- spread operator  ... ---
+    if (ch === '.') {
+      if (source[i + 1] !== '.' || source[i + 2] !== '.') {
+        throw syntaxError(loc, 'Unexpected character: "."');
       }
-      i++; // skip closing quote
-      tokens.push({ type: 'STRING', value: str });
+      tokens.push({ type: 'SPREAD', value: '...', loc: loc });
+      i += 3;
       continue;
     }
 
-    // --- number literal (int only, sufficient for limit/offset) ---
-    if (ch === '-' || (ch >= '0' && ch <= '9')) {
-      var numStr = '';
-      if (ch === '-') { numStr += '-'; i++; }
-      while (i < len && source[i] >= '0' && source[i] <= '9') {
-        numStr += source[i];
+    // --- block string  """ ... """ — may span lines, no escapes but \""" ---
+    if (ch === '"' && source[i + 1] === '"' && source[i + 2] === '"') {
+      i += 3;
+      var raw = '';
+      while (true) {
+        if (i >= len) {
+          throw syntaxError(locAt(i), 'Unterminated string');
+        }
+        if (source.slice(i, i + 3) === '"""') {
+          i += 3;
+          break;
+        }
+        if (source.slice(i, i + 4) === '\\"""') {
+          raw += '"""';
+          i += 4;
+          continue;
+        }
+        var bc = source[i];
+        if (bc === '\n' || bc === '\r') {
+          var newline = bc === '\r' && source[i + 1] === '\n' ? '\r\n' : bc;
+          raw += newline;
+          i += newline.length;
+          line++;
+          lineStart = i;
+          continue;
+        }
+        if (bc < ' ' && bc !== '\t') {
+          throw syntaxError(locAt(i), 'Invalid character within String: ' + printChar(i));
+        }
+        raw += bc;
         i++;
       }
-      tokens.push({ type: 'INT', value: numStr });
+      tokens.push({ type: 'BLOCK_STRING', value: blockStringValue(raw), loc: loc });
       continue;
     }
 
-    // --- name / keyword / boolean / null (bare words) ---
-    if ((ch >= 'a' && ch <= 'z') || (ch >= 'A' && ch <= 'Z') || ch === '_') {
-      var name = '';
-      while (i < len) {
+    // --- string literal (double-quoted, single line) ---
+    if (ch === '"') {
+      i++; // skip opening quote
+      var str = '';
+      while (true) {
         var c = source[i];
-        if ((c >= 'a' && c <= 'z') || (c >= 'A' && c <= 'Z') ||
-            (c >= '0' && c <= '9') || c === '_') {
-          name += c;
-          i++;
-        } else {
+        if (i >= len || c === '\n' || c === '\r') {
+          throw syntaxError(locAt(i), 'Unterminated string');
+        }
+        if (c === '"') {
+          i++; // skip closing quote
           break;
         }
+        if (c === '\\') {
+          var esc = source[i + 1];
+          if (esc === 'u') {
+            var hex = source.slice(i + 2, i + 6);
+            if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+              throw syntaxError(locAt(i), 'Invalid Unicode escape sequence: "\\u' + hex + '"');
+            }
+            str += String.fromCharCode(parseInt(hex, 16));
+            i += 6;
+            continue;
+          }
+          if (i + 1 >= len) {
+            throw syntaxError(locAt(i + 1), 'Unterminated string');
+          }
+          if (!STRING_ESCAPES.hasOwnProperty(esc)) {
+            throw syntaxError(locAt(i), 'Invalid character escape sequence: "\\' + esc + '"');
+          }
+          str += STRING_ESCAPES[esc];
+          i += 2;
+          continue;
+        }
+        if (c < ' ' && c !== '\t') {
+          throw syntaxError(locAt(i), 'Invalid character within String: ' + printChar(i));
+        }
+        str += c;
+        i++;
       }
-      if (name === 'true' || name === 'false') {
-        tokens.push({ type: 'BOOLEAN', value: name === 'true' });
-      } else if (name === 'null') {
-        tokens.push({ type: 'NULL', value: null });
+      tokens.push({ type: 'STRING', value: str, loc: loc });
+      continue;
+    }
+
+    // --- number:  -?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)? ---
+    if (ch === '-' || isDigit(ch)) {
+      var start   = i;
+      var isFloat = false;
+      if (source[i] === '-') i++;
+      if (source[i] === '0') {
+        i++;
+        if (isDigit(source[i])) {
+          throw syntaxError(locAt(i), 'Invalid number, unexpected digit after 0: ' + printChar(i));
+        }
       } else {
-        tokens.push({ type: 'NAME', value: name });
+        i = readDigits(i);
+      }
+      if (source[i] === '.') {
+        isFloat = true;
+        i = readDigits(i + 1);
+      }
+      if (source[i] === 'e' || source[i] === 'E') {
+        isFloat = true;
+        i++;
+        if (source[i] === '+' || source[i] === '-') i++;
+        i = readDigits(i);
+      }
+      // a number may not run straight into a name or a dot:  12abc, 1.2.3
+      if (source[i] === '.' || isNameStart(source[i])) {
+        throw syntaxError(locAt(i), 'Invalid number, expected digit but got: ' + printChar(i));
       }
+      tokens.push({ type: isFloat ? 'FLOAT' : 'INT', value: source.slice(start, i), loc: loc });
+      continue;
+    }
+
+    // --- name (keywords, true / false / null and enum values are all names) ---
+    if (isNameStart(ch)) {
+      var nameStart = i;
+      while (i < len && (isNameStart(source[i]) || isDigit(source[i]))) i++;
+      tokens.push({ type: 'NAME', value: source.slice(nameStart, i), loc: loc });
       continue;
     }
 
-    // --- unknown character — skip it ---
-    i++;
+    throw syntaxError(loc, 'Unexpected character: ' + printChar(i));
   }
 
+  tokens.push({ type: 'EOF', value: null, loc: locAt(i) });
   return tokens;
 }
 
 // ============================================================
 // PARSER (inlined from parser.js)
-// Recursive-descent parser. Produces an AST object.
+// Recursive-descent parser. Produces an AST object, or throws a
+// GraphQLError (code GRAPHQL_PARSE_FAILED) at the first token the
+// grammar does not allow.
 //
 // AST node types produced:
 //   { kind: 'Document',      definitions: [...] }
-//   { kind: 'OperationDef',  operation: 'query'|'mutation', selectionSet: [...] }
-//   { kind: 'Field',         name, alias, arguments, selectionSet }
+//   { kind: 'OperationDef',  operation: 'query'|'mutation'|'subscription', name, variableDefinitions: [...], directives, selectionSet: [...] }
+//   { kind: 'VariableDef',   name, type, defaultValue }
+//   { kind: 'FragmentDef',   name, typeCondition, directives, selectionSet: [...] }
+//   { kind: 'Field',         name, alias, arguments, directives, selectionSet }
+//   { kind: 'FragmentSpread', name, directives }
+//   { kind: 'InlineFragment', typeCondition, directives, selectionSet: [...] }
 //   { kind: 'Argument',      name, value }
-//   value nodes: { kind: 'IntValue'|'StringValue'|'BooleanValue'|'NullValue'|'EnumValue'|'ListValue'|'ObjectValue', value }
+//   { kind: 'Directive',     name, arguments }
+//   every node except the Document and type nodes also carries loc: { line, column }
+//   type nodes:  { kind: 'NamedType', name } | { kind: 'ListType'|'NonNullType', type }
+//   value nodes: { kind: 'IntValue'|'FloatValue'|'StringValue'|'BooleanValue'|'NullValue'|'EnumValue'|'ListValue'|'ObjectValue', value }
+//                (a StringValue also has block: true when written as """...""")
+//                { kind: 'Variable', name }
 // ============================================================
 function Parser(tokens) {
   this.tokens = tokens;
   this.pos    = 0;
 }
 
+// --- the next token; at the end of input this is the EOF token ---
 Parser.prototype.peek = function() {
-  return this.tokens[this.pos] || null;
+  return this.tokens[this.pos];
 };
 
+// --- consume a token (never moves past EOF) ---
 Parser.prototype.advance = function() {
   var tok = this.tokens[this.pos];
-  this.pos++;
+  if (tok.type !== 'EOF') this.pos++;
   return tok;
 };
 
 Parser.prototype.expect = function(type) {
-  var tok = this.advance();
-  if (!tok || tok.type !== type) {
-    throw new Error('Expected token type ' + type + ' but got ' + (tok ? tok.type + '(' + tok.value + ')' : 'EOF'));
+  var tok = this.peek();
+  if (tok.type !== type) {
+    throw syntaxError(tok.loc, 'Expected ' + TOKEN_LABELS[type] + ', found ' + describeToken(tok));
   }
-  return tok;
+  return this.advance();
+};
+
+// --- a NAME token with this exact value, e.g. "on" ---
+Parser.prototype.expectKeyword = function(value) {
+  var tok = this.peek();
+  if (tok.type !== 'NAME' || tok.value !== value) {
+    throw syntaxError(tok.loc, 'Expected "' + value + '", found ' + describeToken(tok));
+  }
+  return this.advance();
+};
+
+Parser.prototype.unexpected = function(tok) {
+  return syntaxError(tok.loc, 'Unexpected ' + describeToken(tok));
 };
 
-// --- Entry: parse the full document ---
+// --- Entry: parse the full document (at least one definition) ---
 Parser.prototype.parseDocument = function() {
   var definitions = [];
-  while (this.peek()) {
+  do {
     definitions.push(this.parseDefinition());
-  }
+  } while (this.peek().type !== 'EOF');
   return { kind: 'Document', definitions: definitions };
 };
 
-// --- A definition is either an explicit operation or a shorthand selection set ---
+// --- A definition is a fragment, an explicit operation or a shorthand selection set ---
 Parser.prototype.parseDefinition = function() {
   var tok = this.peek();
 
+  // fragment Name on Type { ... }
+  if (tok.type === 'NAME' && tok.value === 'fragment') {
+    return this.parseFragmentDefinition();
+  }
+
+  if (tok.type !== 'LBRACE' &&
+      !(tok.type === 'NAME' && (tok.value === 'query' || tok.value === 'mutation' || tok.value === 'subscription'))) {
+    throw this.unexpected(tok);
+  }
+
   // shorthand: bare { ... } means anonymous query
   if (tok.type === 'LBRACE') {
     return {
-      kind:         'OperationDef',
-      operation:    'query',
-      selectionSet: this.parseSelectionSet()
+      kind:                'OperationDef',
+      operation:           'query',
+      name:                null,
+      variableDefinitions: [],
+      directives:          [],
+      selectionSet:        this.parseSelectionSet(),
+      loc:                 tok.loc
     };
   }
 
   // explicit: query { ... }  or  mutation { ... }
-  var opTok = this.advance();        // 'query' or 'mutation'
-  var operation = opTok.value;       // "query" or "mutation"
+  var opTok = this.advance();        // 'query', 'mutation' or 'subscription'
+  var operation = opTok.value;
+
+  // optional operation name  query GetPost { ... }
+  var name = null;
+  if (this.peek().type === 'NAME') {
+    name = this.advance().value;
+  }
+
+  // optional variable definitions  ($id: String!, $limit: Int = 10)
+  var variableDefinitions = [];
+  if (this.peek().type === 'LPAREN') {
+    variableDefinitions = this.parseVariableDefinitions();
+  }
+
+  return {
+    kind:                'OperationDef',
+    operation:           operation,
+    name:                name,
+    variableDefinitions: variableDefinitions,
+    directives:          this.parseDirectives(),
+    selectionSet:        this.parseSelectionSet(),
+    loc:                 opTok.loc
+  };
+};
+
+// --- ( $name: Type = default, ... ) ---
+Parser.prototype.parseVariableDefinitions = function() {
+  this.expect('LPAREN');
+  var defs = [];
+  do {
+    var dollarTok = this.expect('DOLLAR');
+    var varName = this.expect('NAME').value;
+    this.expect('COLON');
+    var type = this.parseType();
+
+    // optional default value — must be a constant (no $refs)
+    var defaultValue = null;
+    if (this.peek().type === 'EQUALS') {
+      this.advance(); // consume '='
+      defaultValue = this.parseValue(true);
+    }
+
+    defs.push({ kind: 'VariableDef', name: varName, type: type, defaultValue: defaultValue, loc: dollarTok.loc });
+  } while (this.peek().type !== 'RPAREN');
+  this.expect('RPAREN');
+  return defs;
+};
+
+// --- Type  |  [Type]  |  Type!  |  [Type!]! ---
+Parser.prototype.parseType = function() {
+  var type;
+  if (this.peek().type === 'LBRACKET') {
+    this.advance(); // consume [
+    type = { kind: 'ListType', type: this.parseType() };
+    this.expect('RBRACKET');
+  } else {
+    type = { kind: 'NamedType', name: this.expect('NAME').value };
+  }
+
+  if (this.peek().type === 'BANG') {
+    this.advance(); // consume !
+    type = { kind: 'NonNullType', type: type };
+  }
+  return type;
+};
 
-  // optional operation name — skip it if present before the brace
-  if (this.peek() && this.peek().type === 'NAME') {
-    this.advance(); // discard the name
+// --- fragment Name on Type { ... } ---
+Parser.prototype.parseFragmentDefinition = function() {
+  var fragmentTok = this.advance(); // consume 'fragment'
+  var nameTok = this.expect('NAME');
+  if (nameTok.value === 'on') {
+    throw this.unexpected(nameTok);
   }
+  this.expectKeyword('on');
 
   return {
-    kind:         'OperationDef',
-    operation:    operation,
-    selectionSet: this.parseSelectionSet()
+    kind:          'FragmentDef',
+    name:          nameTok.value,
+    typeCondition: this.expect('NAME').value,
+    directives:    this.parseDirectives(),
+    selectionSet:  this.parseSelectionSet(),
+    loc:           fragmentTok.loc
   };
 };
 
-// --- { field field field ... } ---
+// --- { field ...Fragment ... on Type { } ... } — never empty ---
 Parser.prototype.parseSelectionSet = function() {
   this.expect('LBRACE');
   var selections = [];
-  while (this.peek() && this.peek().type !== 'RBRACE') {
-    selections.push(this.parseField());
-  }
+  do {
+    if (this.peek().type === 'SPREAD') {
+      selections.push(this.parseFragment());
+    } else {
+      selections.push(this.parseField());
+    }
+  } while (this.peek().type !== 'RBRACE');
   this.expect('RBRACE');
   return selections;
 };
 
+// --- ...FragmentName  or  ... on Type { }  or  ... { } ---
+Parser.prototype.parseFragment = function() {
+  var spreadTok = this.expect('SPREAD');
+  var tok = this.peek();
+
+  // named spread
+  if (tok.type === 'NAME' && tok.value !== 'on') {
+    this.advance();
+    return { kind: 'FragmentSpread', name: tok.value, directives: this.parseDirectives(), loc: spreadTok.loc };
+  }
+
+  // inline fragment, with or without a type condition
+  var typeCondition = null;
+  if (tok.type === 'NAME') {
+    this.advance(); // consume 'on'
+    typeCondition = this.expect('NAME').value;
+  }
+
+  return {
+    kind:          'InlineFragment',
+    typeCondition: typeCondition,
+    directives:    this.parseDirectives(),
+    selectionSet:  this.parseSelectionSet(),
+    loc:           spreadTok.loc
+  };
+};
+
 // --- fieldName  or  alias: fieldName(args){ sub } ---
 Parser.prototype.parseField = function() {
-  var first = this.advance(); // NAME
+  var first = this.expect('NAME');
   var alias = null;
   var name  = first.value;
 
   // check for alias  →  alias : realName
-  if (this.peek() && this.peek().type === 'COLON') {
-    this.advance();                  // consume ':'
+  if (this.peek().type === 'COLON') {
+    this.advance();                    // consume ':'
     alias = first.value;
-    name  = this.advance().value;    // the real field name
+    name  = this.expect('NAME').value; // the real field name
   }
 
   // optional arguments  ( key: value, ... )
   var args = [];
-  if (this.peek() && this.peek().type === 'LPAREN') {
+  if (this.peek().type === 'LPAREN') {
     args = this.parseArguments();
   }
 
+  // optional directives  @include(if: $flag) @uppercase
+  var directives = this.parseDirectives();
+
   // optional sub-selection  { ... }
   var selectionSet = null;
-  if (this.peek() && this.peek().type === 'LBRACE') {
+  if (this.peek().type === 'LBRACE') {
     selectionSet = this.parseSelectionSet();
   }
 
@@ -217,77 +648,106 @@ Parser.prototype.parseField = function() {
     name:         name,
     alias:        alias,
     arguments:    args,
-    selectionSet: selectionSet
+    directives:   directives,
+    selectionSet: selectionSet,
+    loc:          first.loc
   };
 };
 
+// --- @name  or  @name(key: value, ...) — zero or more ---
+Parser.prototype.parseDirectives = function() {
+  var directives = [];
+  while (this.peek().type === 'AT') {
+    var atTok = this.advance(); // consume @
+    var name = this.expect('NAME').value;
+    var args = [];
+    if (this.peek().type === 'LPAREN') {
+      args = this.parseArguments();
+    }
+    directives.push({ kind: 'Directive', name: name, arguments: args, loc: atTok.loc });
+  }
+  return directives;
+};
+
 // --- ( name: value, name: value ) ---
 Parser.prototype.parseArguments = function() {
   this.expect('LPAREN');
   var args = [];
-  while (this.peek() && this.peek().type !== 'RPAREN') {
-    var argName = this.advance().value; // NAME
+  do {
+    var argTok  = this.expect('NAME');
     this.expect('COLON');
     var argVal  = this.parseValue();
-    args.push({ kind: 'Argument', name: argName, value: argVal });
-  }
+    args.push({ kind: 'Argument', name: argTok.value, value: argVal, loc: argTok.loc });
+  } while (this.peek().type !== 'RPAREN');
   this.expect('RPAREN');
   return args;
 };
 
-// --- parse a single value (string, int, bool, null, enum, list, or input-object) ---
-Parser.prototype.parseValue = function() {
+// --- parse a single value (string, int, float, bool, null, enum, list, input-object, or $variable) ---
+//   isConst – true inside variable default values, where $refs are not allowed
+Parser.prototype.parseValue = function(isConst) {
   var tok = this.peek();
 
-  if (tok.type === 'STRING') {
-    this.advance();
-    return { kind: 'StringValue', value: tok.value };
+  // variable reference  $name
+  if (tok.type === 'DOLLAR') {
+    if (isConst) {
+      throw syntaxError(tok.loc, 'Unexpected variable in constant value');
+    }
+    this.advance(); // consume $
+    return { kind: 'Variable', name: this.expect('NAME').value, loc: tok.loc };
   }
-  if (tok.type === 'INT') {
+
+  if (tok.type === 'STRING' || tok.type === 'BLOCK_STRING') {
     this.advance();
-    return { kind: 'IntValue', value: parseInt(tok.value, 10) };
+    return { kind: 'StringValue', value: tok.value, block: tok.type === 'BLOCK_STRING', loc: tok.loc };
   }
-  if (tok.type === 'BOOLEAN') {
+  if (tok.type === 'INT') {
     this.advance();
-    return { kind: 'BooleanValue', value: tok.value };
+    return { kind: 'IntValue', value: parseInt(tok.value, 10), loc: tok.loc };
   }
-  if (tok.type === 'NULL') {
+  if (tok.type === 'FLOAT') {
     this.advance();
-    return { kind: 'NullValue', value: null };
+    return { kind: 'FloatValue', value: parseFloat(tok.value), loc: tok.loc };
   }
 
   // list value  [ val, val, ... ]
   if (tok.type === 'LBRACKET') {
     this.advance(); // consume [
     var items = [];
-    while (this.peek() && this.peek().type !== 'RBRACKET') {
-      items.push(this.parseValue());
+    while (this.peek().type !== 'RBRACKET') {
+      items.push(this.parseValue(isConst));
     }
     this.expect('RBRACKET');
-    return { kind: 'ListValue', value: items };
+    return { kind: 'ListValue', value: items, loc: tok.loc };
   }
 
   // input-object value  { key: val, key: val }
   if (tok.type === 'LBRACE') {
     this.advance(); // consume {
     var fields = [];
-    while (this.peek() && this.peek().type !== 'RBRACE') {
-      var fieldName = this.advance().value;
+    while (this.peek().type !== 'RBRACE') {
+      var fieldTok  = this.expect('NAME');
       this.expect('COLON');
-      var fieldVal  = this.parseValue();
-      fields.push({ name: fieldName, value: fieldVal });
+      var fieldVal  = this.parseValue(isConst);
+      fields.push({ name: fieldTok.value, value: fieldVal, loc: fieldTok.loc });
     }
     this.expect('RBRACE');
-    return { kind: 'ObjectValue', value: fields };
+    return { kind: 'ObjectValue', value: fields, loc: tok.loc };
   }
 
-  // NAME that is not a keyword → treat as enum value
+  // true / false / null are names in the grammar; any other name is an enum value
   if (tok.type === 'NAME') {
     this.advance();
-    return { kind: 'EnumValue', value: tok.value };
+    if (tok.value === 'true' || tok.value === 'false') {
+      return { kind: 'BooleanValue', value: tok.value === 'true', loc: tok.loc };
+    }
+    if (tok.value === 'null') {
+      return { kind: 'NullValue', value: null, loc: tok.loc };
+    }
+    return { kind: 'EnumValue', value: tok.value, loc: tok.loc };
   }
 
-  throw new Error('Unexpected token while parsing value: ' + tok.type + '(' + tok.value + ')');
+  throw this.unexpected(tok);
 };
 
 // --- public entry: queryString → AST ---
@@ -298,144 +758,2197 @@ function parse(queryString) {
 }
 
 // ============================================================
-// EXECUTOR (inlined from executor.js)
-// Walks the parsed AST, calls resolvers, recursively resolves
-// nested fields, and returns a JSON-ready result.
+// TYPE SYSTEM
+// Schema construction and type-reference helpers shared by the
+// validator and the executor. Named types are plain objects:
+//   { kind: 'SCALAR',       name, serialize, parseValue }
+//   { kind: 'ENUM',         name, values: ['A', 'B'] }
+//   { kind: 'OBJECT',       name, fields: { name: { name, type, args } } }
+//   { kind: 'INPUT_OBJECT', name, fields: { name: { name, type, defaultValue } } }
+// Type references (`type` above) are parser type nodes, so a
+// schema writes "[Post!]!" as a string and it is parsed once
+// at boot by parseTypeRef().
 // ============================================================
 
 // --------------------------------------------------------
-// Collapse an AST value node into a plain JS value
+// Built-in scalars
+//   parseValue – checks a raw JSON variable value (throws)
+//   serialize  – turns a resolver's value into a JSON value
 // --------------------------------------------------------
-function coerceValue(node) {
-  switch (node.kind) {
-    case 'StringValue':  return node.value;
-    case 'IntValue':     return node.value;           // already parseInt'd by parser
-    case 'BooleanValue': return node.value;
-    case 'NullValue':    return null;
-    case 'EnumValue':    return node.value;           // kept as string, e.g. "ADMIN"
-    case 'ListValue':
-      return node.value.map(coerceValue);
-    case 'ObjectValue':
-      var obj = {};
-      node.value.forEach(function(field) {
-        obj[field.name] = coerceValue(field.value);
-      });
-      return obj;
-    default:
-      return node.value;
+var scalarCoercers = {
+  Int: function(v) {
+    if (typeof v !== 'number' || Math.floor(v) !== v) throw new Error('Int cannot represent non-integer value: ' + JSON.stringify(v));
+    if (v > 2147483647 || v < -2147483648)           throw new Error('Int cannot represent non 32-bit signed integer value: ' + v);
+    return v;
+  },
+  Float: function(v) {
+    if (typeof v !== 'number' || !isFinite(v)) throw new Error('Float cannot represent non numeric value: ' + JSON.stringify(v));
+    return v;
+  },
+  String: function(v) {
+    if (typeof v !== 'string') throw new Error('String cannot represent a non string value: ' + JSON.stringify(v));
+    return v;
+  },
+  Boolean: function(v) {
+    if (typeof v !== 'boolean') throw new Error('Boolean cannot represent a non boolean value: ' + JSON.stringify(v));
+    return v;
+  },
+  ID: function(v) {
+    if (typeof v === 'string') return v;
+    if (typeof v === 'number' && Math.floor(v) === v) return String(v);
+    throw new Error('ID cannot represent value: ' + JSON.stringify(v));
+  }
+};
+
+var scalarSerializers = {
+  Int:     scalarCoercers.Int,
+  Float:   scalarCoercers.Float,
+  Boolean: scalarCoercers.Boolean,
+  String: function(v) {
+    if (typeof v === 'string') return v;
+    if (typeof v === 'number' || typeof v === 'boolean') return String(v);
+    throw new Error('String cannot represent value: ' + JSON.stringify(v));
+  },
+  ID: scalarCoercers.ID
+};
+
+// --- "[Post!]!" → type node ---
+function parseTypeRef(str) {
+  var p    = new Parser(tokenize(str));
+  var type = p.parseType();
+  if (p.peek().type !== 'EOF') {
+    throw new Error('Invalid type reference "' + str + '"');
   }
+  return type;
 }
 
-// --------------------------------------------------------
-// Extract arguments from a Field AST node into a plain object
-// --------------------------------------------------------
-function extractArgs(fieldNode) {
-  var args = {};
-  if (!fieldNode.arguments) return args;
-  fieldNode.arguments.forEach(function(arg) {
-    args[arg.name] = coerceValue(arg.value);
-  });
-  return args;
+// --- type node → printable string, e.g. "[String!]!" ---
+function typeToString(typeNode) {
+  switch (typeNode.kind) {
+    case 'NonNullType': return typeToString(typeNode.type) + '!';
+    case 'ListType':    return '[' + typeToString(typeNode.type) + ']';
+    default:            return typeNode.name;
+  }
+}
+
+// --- strip List / NonNull wrappers and look the name up ---
+function getNamedType(schema, typeNode) {
+  while (typeNode.kind !== 'NamedType') typeNode = typeNode.type;
+  return schema.types[typeNode.name] || null;
 }
 
+// --- a copy of obj without a prototype ---
+//   The schema's maps are looked up by names taken from requests, so
+//   "constructor" or "__proto__" must find nothing, not Object's own.
+function declaredMap(obj) {
+  var map = Object.create(null);
+  Object.keys(obj || {}).forEach(function(key) { map[key] = obj[key]; });
+  return map;
+}
+
+function isLeafType(type)      { return type.kind === 'SCALAR' || type.kind === 'ENUM'; }
+function isInputType(type)     { return isLeafType(type) || type.kind === 'INPUT_OBJECT'; }
+function isCompositeType(type) { return type.kind === 'OBJECT'; }
+
 // --------------------------------------------------------
-// Core recursive executor
-//   parent     – the JS value the current selection set runs against
-//   selections – array of Field AST nodes
-// Returns a plain object or array ready for JSON serialisation.
+// buildSchema — turn a compact definition into a schema
+//   def.query / def.mutation / def.subscription – root type names
+//   def.types – { Name: { kind, description, values | fields } }
+// A field is either a type string or
+// { type, args, description, deprecationReason, auth, cost, listSize },
+// where auth names the permission rule(s) guarding it and cost /
+// listSize (a number, or a function returning one) feed the query
+// analysis; an argument
+// or input field is either a type string or
+// { type, defaultValue, description }. Every reference is checked here,
+// so a typo in the schema fails at boot, not mid-request.
+// Arguments and input fields may also carry
+// rules: { ruleName: option } — see "Input rules" in the executor.
 // --------------------------------------------------------
-function executeSelections(parent, selections) {
-  var result = {};
+function buildSchema(def) {
+  var types = Object.create(null);
+
+  Object.keys(scalarCoercers).forEach(function(name) {
+    types[name] = {
+      kind:       'SCALAR',
+      name:       name,
+      parseValue: scalarCoercers[name],
+      serialize:  scalarSerializers[name]
+    };
+  });
+
+  function normalizeInputValues(map) {
+    var out = Object.create(null);
+    Object.keys(map || {}).forEach(function(name) {
+      var spec = typeof map[name] === 'string' ? { type: map[name] } : map[name];
+      out[name] = {
+        name:              name,
+        type:              parseTypeRef(spec.type),
+        defaultValue:      spec.defaultValue,
+        description:       spec.description || null,
+        deprecationReason: spec.deprecationReason || null,
+        rules:             spec.rules || null
+      };
+    });
+    return out;
+  }
 
-  selections.forEach(function(fieldNode) {
-    var fieldName = fieldNode.name;
-    var alias     = fieldNode.alias || fieldName;
-    var args      = extractArgs(fieldNode);
-    var value;
+  // rule names, including those nested under `each`, must be registered
+  function checkRuleNames(rules, where) {
+    Object.keys(rules || {}).forEach(function(ruleName) {
+      if (ruleName === 'each') {
+        checkRuleNames(rules.each, where);
+      } else if (!inputRules[ruleName]) {
+        throw new Error('Unknown input rule "' + ruleName + '" on ' + where);
+      }
+    });
+  }
 
-    // 1) If parent has a function with this field name, call it
-    //    (this is how nested resolvers work — wrapUser / wrapPost / etc.)
-    if (typeof parent[fieldName] === 'function') {
-      value = parent[fieldName](args);
-    }
-    // 2) Otherwise just read the property directly
-    else if (parent[fieldName] !== undefined) {
-      value = parent[fieldName];
-    }
-    // 3) Unknown field — null
-    else {
-      value = null;
-    }
+  // the introspection types are part of every schema
+  var specs = {};
+  [introspectionTypes, def.types].forEach(function(group) {
+    Object.keys(group).forEach(function(name) { specs[name] = group[name]; });
+  });
 
-    // If this field has a sub-selection, recurse into it.
-    // value could be: a single object, an array, or a paginated wrapper.
-    if (fieldNode.selectionSet) {
-      value = resolveNested(value, fieldNode.selectionSet);
+  Object.keys(specs).forEach(function(name) {
+    var spec = specs[name];
+    var type = { kind: spec.kind, name: name, description: spec.description || null };
+
+    if (spec.kind === 'ENUM') {
+      type.values = spec.values.slice();
+    } else if (spec.kind === 'INPUT_OBJECT') {
+      type.fields = normalizeInputValues(spec.fields);
+    } else if (spec.kind === 'OBJECT') {
+      type.fields = Object.create(null);
+      Object.keys(spec.fields).forEach(function(fieldName) {
+        var f = typeof spec.fields[fieldName] === 'string' ? { type: spec.fields[fieldName] } : spec.fields[fieldName];
+        type.fields[fieldName] = {
+          name:              fieldName,
+          type:              parseTypeRef(f.type),
+          args:              normalizeInputValues(f.args),
+          description:       f.description || null,
+          deprecationReason: f.deprecationReason || null,
+          auth:              f.auth ? [].concat(f.auth) : null,
+          cost:              f.cost !== undefined ? f.cost : null,
+          listSize:          f.listSize !== undefined ? f.listSize : null
+        };
+      });
+    } else {
+      throw new Error('Unsupported type kind "' + spec.kind + '" for type "' + name + '"');
     }
+    types[name] = type;
+  });
 
-    result[alias] = value;
+  var schema = {
+    description:      def.description || null,
+    types:            types,
+    queryType:        types[def.query],
+    mutationType:     def.mutation ? types[def.mutation] : null,
+    subscriptionType: def.subscription ? types[def.subscription] : null,
+    metaFields:       buildMetaFields()
+  };
+
+  // --- every reference must resolve, and to the right kind ---
+  Object.keys(types).forEach(function(name) {
+    var type = types[name];
+    Object.keys(type.fields || {}).forEach(function(fieldName) {
+      var field = type.fields[fieldName];
+      var named = getNamedType(schema, field.type);
+      var where = name + '.' + fieldName;
+      if (!named) {
+        throw new Error('Unknown type "' + typeToString(field.type) + '" on ' + where);
+      }
+      if (type.kind === 'INPUT_OBJECT' && !isInputType(named)) {
+        throw new Error('Input field ' + where + ' must be an input type');
+      }
+      checkRuleNames(field.rules, where);
+      Object.keys(field.args || {}).forEach(function(argName) {
+        var argType = getNamedType(schema, field.args[argName].type);
+        if (!argType || !isInputType(argType)) {
+          throw new Error('Argument ' + where + '(' + argName + ') must be an input type');
+        }
+        checkRuleNames(field.args[argName].rules, where + '(' + argName + ')');
+      });
+      (field.auth || []).forEach(function(ruleName) {
+        if (!permissionRules[ruleName]) {
+          throw new Error('Unknown permission rule "' + ruleName + '" on ' + where);
+        }
+      });
+    });
   });
 
-  return result;
+  return schema;
 }
 
+// ============================================================
+// INTROSPECTION
+// The standard __schema / __type / __typename meta-fields.
+// The introspection types are declared in the same compact
+// form as the application schema and merged into it by
+// buildSchema(); their values come from the wrap* functions
+// below, which turn schema objects into resolver objects the
+// same way wrapUser / wrapPost turn data rows into them.
+// ============================================================
+var introspectionTypes = {
+  __TypeKind: { kind: "ENUM", values: ["SCALAR", "OBJECT", "INTERFACE", "UNION", "ENUM", "INPUT_OBJECT", "LIST", "NON_NULL"] },
+
+  __DirectiveLocation: { kind: "ENUM", values: [
+    "QUERY", "MUTATION", "SUBSCRIPTION", "FIELD", "FRAGMENT_DEFINITION", "FRAGMENT_SPREAD",
+    "INLINE_FRAGMENT", "VARIABLE_DEFINITION", "SCHEMA", "SCALAR", "OBJECT", "FIELD_DEFINITION",
+    "ARGUMENT_DEFINITION", "INTERFACE", "UNION", "ENUM", "ENUM_VALUE", "INPUT_OBJECT", "INPUT_FIELD_DEFINITION"
+  ]},
+
+  __Schema: { kind: "OBJECT", fields: {
+    description:      "String",
+    types:            "[__Type!]!",
+    queryType:        "__Type!",
+    mutationType:     "__Type",
+    subscriptionType: "__Type",
+    directives:       "[__Directive!]!"
+  }},
+
+  __Type: { kind: "OBJECT", fields: {
+    kind:           "__TypeKind!",
+    name:           "String",
+    description:    "String",
+    specifiedByURL: "String",
+    fields:         { type: "[__Field!]",      args: { includeDeprecated: { type: "Boolean", defaultValue: false } } },
+    interfaces:     "[__Type!]",
+    possibleTypes:  "[__Type!]",
+    enumValues:     { type: "[__EnumValue!]",  args: { includeDeprecated: { type: "Boolean", defaultValue: false } } },
+    inputFields:    { type: "[__InputValue!]", args: { includeDeprecated: { type: "Boolean", defaultValue: false } } },
+    ofType:         "__Type"
+  }},
+
+  __Field: { kind: "OBJECT", fields: {
+    name:              "String!",
+    description:       "String",
+    args:              { type: "[__InputValue!]!", args: { includeDeprecated: { type: "Boolean", defaultValue: false } } },
+    type:              "__Type!",
+    isDeprecated:      "Boolean!",
+    deprecationReason: "String"
+  }},
+
+  __InputValue: { kind: "OBJECT", fields: {
+    name:              "String!",
+    description:       "String",
+    type:              "__Type!",
+    defaultValue:      "String",
+    isDeprecated:      "Boolean!",
+    deprecationReason: "String"
+  }},
+
+  __EnumValue: { kind: "OBJECT", fields: {
+    name:              "String!",
+    description:       "String",
+    isDeprecated:      "Boolean!",
+    deprecationReason: "String"
+  }},
+
+  __Directive: { kind: "OBJECT", fields: {
+    name:         "String!",
+    description:  "String",
+    locations:    "[__DirectiveLocation!]!",
+    args:         { type: "[__InputValue!]!", args: { includeDeprecated: { type: "Boolean", defaultValue: false } } },
+    isRepeatable: "Boolean!"
+  }}
+};
+
 // --------------------------------------------------------
-// Recurse into a value that may be an object, array, or null
+// Meta-field lookup. __typename exists on every object type;
+// __schema and __type only on the query root.
 // --------------------------------------------------------
-function resolveNested(value, selectionSet) {
-  if (value === null || value === undefined) return null;
-
-  if (Array.isArray(value)) {
-    return value.map(function(item) {
-      return resolveNested(item, selectionSet);
-    });
+function getFieldDef(schema, parentType, fieldName) {
+  if (fieldName === '__typename') return schema.metaFields.__typename;
+  if (parentType === schema.queryType && (fieldName === '__schema' || fieldName === '__type')) {
+    return schema.metaFields[fieldName];
   }
-
-  // plain object — run selections against it
-  return executeSelections(value, selectionSet);
+  return parentType.fields[fieldName] || null;
 }
 
-// --------------------------------------------------------
-// Main entry: execute a parsed AST document
-//   ast – the Document node returned by parse()
-// Returns { data: {...} } or { errors: [{message}] }
-// --------------------------------------------------------
-function execute(ast) {
-  try {
-    var definition = ast.definitions[0];
-    if (!definition) {
-      return { errors: [{ message: 'Empty document.' }] };
+function buildMetaFields() {
+  return {
+    __typename: {
+      name: '__typename', type: parseTypeRef('String!'), args: declaredMap({}),
+      resolve: function(schema, parentType) { return parentType.name; }
+    },
+    __schema: {
+      name: '__schema', type: parseTypeRef('__Schema!'), args: declaredMap({}),
+      resolve: function(schema) { return wrapSchema(schema); }
+    },
+    __type: {
+      name: '__type', type: parseTypeRef('__Type'),
+      args: declaredMap({ name: { name: 'name', type: parseTypeRef('String!') } }),
+      resolve: function(schema, parentType, args) { return wrapType(schema, schema.types[args.name]); }
     }
+  };
+}
 
-    var selectionSet = definition.selectionSet;
-
-    // Execute each top-level field against the root resolver object
-    var data = executeSelections(resolvers, selectionSet);
-
-    return { data: data };
-
-  } catch (err) {
-    return { errors: [{ message: err.message }] };
+// --- JS default value → GraphQL literal text, e.g. DESC or ["a"] ---
+function printDefaultValue(value, typeNode, schema) {
+  if (value === null) return 'null';
+  if (typeNode.kind === 'NonNullType') return printDefaultValue(value, typeNode.type, schema);
+  if (typeNode.kind === 'ListType') {
+    var items = Array.isArray(value) ? value : [value];
+    return '[' + items.map(function(v) { return printDefaultValue(v, typeNode.type, schema); }).join(', ') + ']';
   }
+  var type = schema.types[typeNode.name];
+  if (type.kind === 'ENUM') return value;
+  if (type.kind === 'INPUT_OBJECT') {
+    return '{' + Object.keys(value).map(function(k) {
+      return k + ': ' + printDefaultValue(value[k], type.fields[k].type, schema);
+    }).join(', ') + '}';
+  }
+  return JSON.stringify(value);
 }
 
-// ============================================================
-// IN-MEMORY DATABASE (inlined from db.js)
-// Seed data, finders, mutation helpers, pagination.
-// ============================================================
+// --- hide deprecated entries unless asked for them ---
+function filterDeprecated(list, args) {
+  if (args && args.includeDeprecated) return list;
+  return list.filter(function(item) { return !item.deprecationReason; });
+}
 
-var users = [
-  { id: "1", name: "Alice Johnson",  email: "alice@example.com",   role: "ADMIN",     createdAt: "2024-01-10T08:00:00Z" },
-  { id: "2", name: "Bob Smith",      email: "bob@example.com",     role: "USER",      createdAt: "2024-02-15T10:30:00Z" },
-  { id: "3", name: "Charlie Brown",  email: "charlie@example.com", role: "USER",      createdAt: "2024-03-20T14:00:00Z" },
-  { id: "4", name: "Diana Prince",   email: "diana@example.com",   role: "MODERATOR", createdAt: "2024-04-05T09:15:00Z" },
-  { id: "5", name: "Edward Norton",  email: "edward@example.com",  role: "USER",      createdAt: "2024-05-12T16:45:00Z" }
-];
+function mapValues(map) {
+  return Object.keys(map || {}).map(function(key) { return map[key]; });
+}
 
-var posts = [
-  { id: "101", title: "Getting Started with GraphQL",  body: "GraphQL is a query language for APIs and a runtime for fulfilling those queries.",     authorId: "1", tags: ["graphql","api","tutorial"],       createdAt: "2024-06-01T08:00:00Z", published: true  },
-  { id: "102", title: "Understanding Resolvers",       body: "Resolvers are the heart of any GraphQL server. They map schema fields to data.",      authorId: "1", tags: ["graphql","resolvers"],            createdAt: "2024-06-10T10:00:00Z", published: true  },
-  { id: "103", title: "Node.js Best Practices",        body: "Here are proven best practices when building applications with Node.js.",             authorId: "2", tags: ["nodejs","javascript","backend"],  createdAt: "2024-06-15T12:00:00Z", published: true  },
+// --------------------------------------------------------
+// WRAPPERS — schema objects → introspection resolver objects
+// --------------------------------------------------------
+function wrapSchema(schema) {
+  return {
+    description:      schema.description || null,
+    queryType:        wrapType(schema, schema.queryType),
+    mutationType:     wrapType(schema, schema.mutationType),
+    subscriptionType: wrapType(schema, schema.subscriptionType),
+
+    types: function() {
+      return Object.keys(schema.types).map(function(name) {
+        return wrapType(schema, schema.types[name]);
+      });
+    },
+    directives: function() {
+      return Object.keys(directiveDefinitions).map(function(name) {
+        return wrapDirective(schema, directiveDefinitions[name]);
+      });
+    }
+  };
+}
+
+function wrapType(schema, type) {
+  if (!type) return null;
+  return {
+    kind:           type.kind,
+    name:           type.name,
+    description:    type.description || null,
+    specifiedByURL: null,
+    interfaces:     type.kind === 'OBJECT' ? [] : null,
+    possibleTypes:  null,
+    ofType:         null,
+
+    fields: function(args) {
+      if (type.kind !== 'OBJECT') return null;
+      return filterDeprecated(mapValues(type.fields), args).map(function(field) {
+        return wrapField(schema, field);
+      });
+    },
+    enumValues: function(args) {
+      if (type.kind !== 'ENUM') return null;
+      return filterDeprecated(type.values.map(function(value) {
+        return { name: value, description: null, isDeprecated: false, deprecationReason: null };
+      }), args);
+    },
+    inputFields: function(args) {
+      if (type.kind !== 'INPUT_OBJECT') return null;
+      return filterDeprecated(mapValues(type.fields), args).map(function(field) {
+        return wrapInputValue(schema, field);
+      });
+    }
+  };
+}
+
+// --- List / NonNull wrappers around a named type ---
+function wrapTypeRef(schema, typeNode) {
+  if (typeNode.kind === 'NamedType') return wrapType(schema, schema.types[typeNode.name]);
+  return {
+    kind:   typeNode.kind === 'NonNullType' ? 'NON_NULL' : 'LIST',
+    name:   null,
+    ofType: wrapTypeRef(schema, typeNode.type)
+  };
+}
+
+function wrapField(schema, field) {
+  return {
+    name:              field.name,
+    description:       field.description || null,
+    isDeprecated:      !!field.deprecationReason,
+    deprecationReason: field.deprecationReason || null,
+
+    type: function() {
+      return wrapTypeRef(schema, field.type);
+    },
+    args: function(args) {
+      return filterDeprecated(mapValues(field.args), args).map(function(arg) {
+        return wrapInputValue(schema, arg);
+      });
+    }
+  };
+}
+
+function wrapInputValue(schema, input) {
+  return {
+    name:              input.name,
+    description:       input.description || null,
+    isDeprecated:      !!input.deprecationReason,
+    deprecationReason: input.deprecationReason || null,
+
+    type: function() {
+      return wrapTypeRef(schema, input.type);
+    },
+    defaultValue: function() {
+      if (input.defaultValue === undefined) return null;
+      return printDefaultValue(input.defaultValue, input.type, schema);
+    }
+  };
+}
+
+function wrapDirective(schema, directive) {
+  return {
+    name:         directive.name,
+    description:  directive.description || null,
+    locations:    directive.locations,
+    isRepeatable: false,
+
+    args: function(args) {
+      return filterDeprecated(mapValues(directive.args), args).map(function(arg) {
+        return wrapInputValue(schema, arg);
+      });
+    }
+  };
+}
+
+// ============================================================
+// VALIDATOR
+// Checks a parsed document against the schema before anything
+// runs. Returns an array of GraphQLErrors — empty when valid.
+// Messages follow the wording of the GraphQL spec's rules.
+// ============================================================
+
+function validationError(message, nodes) {
+  return new GraphQLError(message, nodes, null, { code: 'GRAPHQL_VALIDATION_FAILED' });
+}
+
+// --------------------------------------------------------
+// Fragment checks — run over the whole document before
+// execution. Rejects duplicate names, spreads of fragments
+// that are not defined, and fragments that spread themselves
+// (directly or through other fragments).
+// --------------------------------------------------------
+function validateFragments(ast) {
+  var errors    = [];
+  var fragments = Object.create(null);
+
+  ast.definitions.forEach(function(def) {
+    if (def.kind !== 'FragmentDef') return;
+    if (fragments[def.name]) {
+      errors.push(validationError('There can be only one fragment named "' + def.name + '".', [fragments[def.name], def]));
+    }
+    fragments[def.name] = def;
+  });
+
+  // --- every spread must name a defined fragment ---
+  function checkSpreads(selections) {
+    (selections || []).forEach(function(sel) {
+      if (sel.kind === 'FragmentSpread' && !fragments[sel.name]) {
+        errors.push(validationError('Unknown fragment "' + sel.name + '".', [sel]));
+      }
+      checkSpreads(sel.selectionSet);
+    });
+  }
+  ast.definitions.forEach(function(def) {
+    checkSpreads(def.selectionSet);
+  });
+
+  // --- cycle detection: depth-first walk along spread edges ---
+  function spreadsIn(selections, out) {
+    (selections || []).forEach(function(sel) {
+      if (sel.kind === 'FragmentSpread') out.push(sel);
+      spreadsIn(sel.selectionSet, out);
+    });
+    return out;
+  }
+
+  var visited = Object.create(null);
+  //   trail   – fragment names on the current path
+  //   spreads – the spread nodes linking them, one per name
+  function detectCycle(name, trail, spreads) {
+    var at = trail.indexOf(name);
+    if (at !== -1) {
+      var via = trail.slice(at + 1);
+      errors.push(validationError(
+        'Cannot spread fragment "' + name + '" within itself' +
+        (via.length ? ' via "' + via.join('", "') + '"' : '') + '.',
+        spreads.slice(at)
+      ));
+      return;
+    }
+    if (visited[name] || !fragments[name]) return;
+    visited[name] = true;
+    spreadsIn(fragments[name].selectionSet, []).forEach(function(next) {
+      detectCycle(next.name, trail.concat(name), spreads.concat(next));
+    });
+  }
+  Object.keys(fragments).forEach(function(name) {
+    detectCycle(name, [], []);
+  });
+
+  return errors;
+}
+
+// --- reject unknown directives and directives in the wrong place ---
+function validateDirectives(ast) {
+  var errors = [];
+
+  function check(directives, location) {
+    (directives || []).forEach(function(dir) {
+      var definition = directiveDefinitions[dir.name];
+      if (!definition) {
+        errors.push(validationError('Unknown directive "@' + dir.name + '".', [dir]));
+      } else if (definition.locations.indexOf(location) === -1) {
+        errors.push(validationError('Directive "@' + dir.name + '" may not be used on ' + location + '.', [dir]));
+      }
+    });
+  }
+
+  function walk(selections) {
+    (selections || []).forEach(function(sel) {
+      if (sel.kind === 'Field')          check(sel.directives, 'FIELD');
+      if (sel.kind === 'FragmentSpread') check(sel.directives, 'FRAGMENT_SPREAD');
+      if (sel.kind === 'InlineFragment') check(sel.directives, 'INLINE_FRAGMENT');
+      walk(sel.selectionSet);
+    });
+  }
+
+  ast.definitions.forEach(function(def) {
+    if (def.kind === 'FragmentDef') {
+      check(def.directives, 'FRAGMENT_DEFINITION');
+    } else {
+      check(def.directives, def.operation.toUpperCase());
+    }
+    walk(def.selectionSet);
+  });
+
+  return errors;
+}
+
+// --- AST value node → GraphQL source text, for messages ---
+function printValue(node) {
+  switch (node.kind) {
+    case 'Variable':    return '$' + node.name;
+    case 'StringValue': return JSON.stringify(node.value);
+    case 'NullValue':   return 'null';
+    case 'ListValue':   return '[' + node.value.map(printValue).join(', ') + ']';
+    case 'ObjectValue':
+      return '{ ' + node.value.map(function(f) { return f.name + ': ' + printValue(f.value); }).join(', ') + ' }';
+    default:            return String(node.value);
+  }
+}
+
+// --- can a variable of type `sub` be used where `sup` is expected? ---
+function isTypeSubTypeOf(sub, sup) {
+  if (sup.kind === 'NonNullType') {
+    return sub.kind === 'NonNullType' && isTypeSubTypeOf(sub.type, sup.type);
+  }
+  if (sub.kind === 'NonNullType') return isTypeSubTypeOf(sub.type, sup);
+  if (sup.kind === 'ListType') {
+    return sub.kind === 'ListType' && isTypeSubTypeOf(sub.type, sup.type);
+  }
+  if (sub.kind === 'ListType') return false;
+  return sub.name === sup.name;
+}
+
+// --------------------------------------------------------
+// Check a literal value against an input type.
+// Variables are not checked here; each one is recorded in
+// `usages` with the type expected at its position.
+// --------------------------------------------------------
+function validateLiteral(schema, node, typeNode, errors, usages, hasLocationDefault) {
+  if (node.kind === 'Variable') {
+    usages.push({ name: node.name, type: typeNode, hasLocationDefault: !!hasLocationDefault, node: node });
+    return;
+  }
+
+  if (typeNode.kind === 'NonNullType') {
+    if (node.kind === 'NullValue') {
+      errors.push(validationError('Expected value of type "' + typeToString(typeNode) + '", found null.', [node]));
+      return;
+    }
+    validateLiteral(schema, node, typeNode.type, errors, usages);
+    return;
+  }
+
+  if (node.kind === 'NullValue') return;
+
+  if (typeNode.kind === 'ListType') {
+    // a single item is accepted where a list is expected
+    var items = node.kind === 'ListValue' ? node.value : [node];
+    items.forEach(function(item) {
+      validateLiteral(schema, item, typeNode.type, errors, usages);
+    });
+    return;
+  }
+
+  var type = schema.types[typeNode.name];
+  if (!type) return;
+
+  if (type.kind === 'SCALAR') {
+    var ok;
+    switch (type.name) {
+      case 'Int':     ok = node.kind === 'IntValue' && node.value <= 2147483647 && node.value >= -2147483648; break;
+      case 'Float':   ok = node.kind === 'IntValue' || node.kind === 'FloatValue'; break;
+      case 'String':  ok = node.kind === 'StringValue'; break;
+      case 'Boolean': ok = node.kind === 'BooleanValue'; break;
+      case 'ID':      ok = node.kind === 'StringValue' || node.kind === 'IntValue'; break;
+      default:        ok = true;
+    }
+    if (!ok) {
+      errors.push(validationError(type.name + ' cannot represent value: ' + printValue(node), [node]));
+    }
+    return;
+  }
+
+  if (type.kind === 'ENUM') {
+    if (node.kind !== 'EnumValue') {
+      errors.push(validationError('Enum "' + type.name + '" cannot represent non-enum value: ' + printValue(node) + '.', [node]));
+    } else if (type.values.indexOf(node.value) === -1) {
+      errors.push(validationError('Value "' + node.value + '" does not exist in "' + type.name + '" enum.', [node]));
+    }
+    return;
+  }
+
+  // INPUT_OBJECT
+  if (node.kind !== 'ObjectValue') {
+    errors.push(validationError('Expected value of type "' + type.name + '", found ' + printValue(node) + '.', [node]));
+    return;
+  }
+  var given = {};
+  node.value.forEach(function(field) {
+    given[field.name] = true;
+    var fieldDef = type.fields[field.name];
+    if (!fieldDef) {
+      errors.push(validationError('Field "' + field.name + '" is not defined by type "' + type.name + '".', [field]));
+      return;
+    }
+    validateLiteral(schema, field.value, fieldDef.type, errors, usages, fieldDef.defaultValue !== undefined);
+  });
+  Object.keys(type.fields).forEach(function(name) {
+    var fieldDef = type.fields[name];
+    if (!given[name] && fieldDef.type.kind === 'NonNullType' && fieldDef.defaultValue === undefined) {
+      errors.push(validationError(
+        'Field "' + type.name + '.' + name + '" of required type "' + typeToString(fieldDef.type) + '" was not provided.',
+        [node]
+      ));
+    }
+  });
+}
+
+// --------------------------------------------------------
+// Walk one selection set against its parent type.
+//   scope – { schema, errors, fragments, usages, spreads }
+// --------------------------------------------------------
+function validateSelectionSet(parentType, selections, scope) {
+  var schema = scope.schema;
+
+  selections.forEach(function(sel) {
+    validateDirectiveArgs(sel.directives, scope);
+
+    if (sel.kind === 'Field') {
+      var fieldDef = getFieldDef(schema, parentType, sel.name);
+      if (!fieldDef) {
+        scope.errors.push(validationError('Cannot query field "' + sel.name + '" on type "' + parentType.name + '".', [sel]));
+        return;
+      }
+
+      validateArguments(sel, fieldDef.args, 'field "' + parentType.name + '.' + sel.name + '"', 'Field "' + sel.name + '"', scope);
+
+      var fieldType = getNamedType(schema, fieldDef.type);
+      if (isLeafType(fieldType) && sel.selectionSet) {
+        scope.errors.push(validationError(
+          'Field "' + sel.name + '" must not have a selection since type "' + typeToString(fieldDef.type) + '" has no subfields.',
+          [sel]
+        ));
+      } else if (isCompositeType(fieldType) && !sel.selectionSet) {
+        scope.errors.push(validationError(
+          'Field "' + sel.name + '" of type "' + typeToString(fieldDef.type) + '" must have a selection of subfields. Did you mean "' + sel.name + ' { ... }"?',
+          [sel]
+        ));
+      } else if (sel.selectionSet) {
+        validateSelectionSet(fieldType, sel.selectionSet, scope);
+      }
+      return;
+    }
+
+    if (sel.kind === 'InlineFragment') {
+      var fragType = parentType;
+      if (sel.typeCondition) {
+        fragType = schema.types[sel.typeCondition];
+        if (!fragType) {
+          scope.errors.push(validationError('Unknown type "' + sel.typeCondition + '".', [sel]));
+          return;
+        }
+        if (!isCompositeType(fragType)) {
+          scope.errors.push(validationError('Fragment cannot condition on non composite type "' + sel.typeCondition + '".', [sel]));
+          return;
+        }
+        if (fragType !== parentType) {
+          scope.errors.push(validationError(
+            'Fragment cannot be spread here as objects of type "' + parentType.name + '" can never be of type "' + fragType.name + '".',
+            [sel]
+          ));
+          return;
+        }
+      }
+      validateSelectionSet(fragType, sel.selectionSet, scope);
+      return;
+    }
+
+    if (sel.kind === 'FragmentSpread') {
+      scope.spreads.push(sel.name);
+      var fragment = scope.fragments[sel.name];
+      if (fragment && schema.types[fragment.typeCondition] && fragment.typeCondition !== parentType.name) {
+        scope.errors.push(validationError(
+          'Fragment "' + sel.name + '" cannot be spread here as objects of type "' + parentType.name + '" can never be of type "' + fragment.typeCondition + '".',
+          [sel]
+        ));
+      }
+    }
+  });
+}
+
+// --------------------------------------------------------
+// Known argument names, required arguments, literal types —
+// shared by fields and directives
+//   where – 'field "Query.user"'  /  'directive "@skip"'
+//   owner – 'Field "user"'        /  'Directive "@skip"'
+// --------------------------------------------------------
+function validateArguments(node, argDefs, where, owner, scope) {
+  var given = {};
+  node.arguments.forEach(function(arg) {
+    given[arg.name] = true;
+    var argDef = argDefs[arg.name];
+    if (!argDef) {
+      scope.errors.push(validationError('Unknown argument "' + arg.name + '" on ' + where + '.', [arg]));
+      return;
+    }
+    validateLiteral(scope.schema, arg.value, argDef.type, scope.errors, scope.usages, argDef.defaultValue !== undefined);
+  });
+
+  Object.keys(argDefs).forEach(function(name) {
+    var argDef = argDefs[name];
+    if (!given[name] && argDef.type.kind === 'NonNullType' && argDef.defaultValue === undefined) {
+      scope.errors.push(validationError(
+        owner + ' argument "' + name + '" of type "' + typeToString(argDef.type) + '" is required, but it was not provided.',
+        [node]
+      ));
+    }
+  });
+}
+
+function validateDirectiveArgs(directives, scope) {
+  (directives || []).forEach(function(dir) {
+    var definition = directiveDefinitions[dir.name];
+    if (!definition) return; // already reported by validateDirectives
+    validateArguments(dir, definition.args, 'directive "@' + dir.name + '"', 'Directive "@' + dir.name + '"', scope);
+  });
+}
+
+// --------------------------------------------------------
+// Main entry: validate a Document against a schema
+// --------------------------------------------------------
+// --- fields, spreads and inline fragments of a selection set's own level, fragments included ---
+function rootSelections(selections, fragments, visited, nodes) {
+  selections.forEach(function(sel) {
+    nodes.push(sel);
+    if (sel.kind === 'InlineFragment') {
+      rootSelections(sel.selectionSet, fragments, visited, nodes);
+    } else if (sel.kind === 'FragmentSpread' && fragments[sel.name] && !visited[sel.name]) {
+      visited[sel.name] = true;
+      rootSelections(fragments[sel.name].selectionSet, fragments, visited, nodes);
+    }
+  });
+  return nodes;
+}
+
+// --- a subscription's one root field must not depend on @skip / @include ---
+function validateSubscriptionRoot(def, fragments, errors) {
+  var nodes = rootSelections(def.selectionSet, fragments, Object.create(null), []);
+  var name  = def.name ? 'Subscription "' + def.name + '"' : 'Anonymous Subscription';
+
+  var keys = [];
+  nodes.forEach(function(node) {
+    if (node.kind !== 'Field') return;
+    var key = node.alias || node.name;
+    if (keys.indexOf(key) === -1) keys.push(key);
+  });
+  if (keys.length !== 1) {
+    errors.push(validationError(name + ' must select only one top level field.', [def]));
+  }
+
+  var conditional = nodes.filter(function(node) {
+    return (node.directives || []).some(function(dir) { return dir.name === 'skip' || dir.name === 'include'; });
+  });
+  if (conditional.length) {
+    errors.push(validationError(name + ' must not use "@skip" or "@include" in its top level selection.', conditional));
+  }
+}
+
+function validate(schema, ast) {
+  // structural checks first — the schema walk assumes spreads resolve
+  var errors = validateFragments(ast).concat(validateDirectives(ast));
+  if (errors.length) return errors;
+
+  var fragments = Object.create(null);
+  ast.definitions.forEach(function(def) {
+    if (def.kind === 'FragmentDef') fragments[def.name] = def;
+  });
+
+  // --- each fragment once, against its own type condition ---
+  var fragmentScopes = Object.create(null);
+  Object.keys(fragments).forEach(function(name) {
+    var fragment = fragments[name];
+    var scope    = { schema: schema, errors: errors, fragments: fragments, usages: [], spreads: [] };
+    fragmentScopes[name] = scope;
+
+    var type = schema.types[fragment.typeCondition];
+    if (!type) {
+      errors.push(validationError('Unknown type "' + fragment.typeCondition + '".', [fragment]));
+      return;
+    }
+    if (!isCompositeType(type)) {
+      errors.push(validationError('Fragment "' + name + '" cannot condition on non composite type "' + fragment.typeCondition + '".', [fragment]));
+      return;
+    }
+    validateDirectiveArgs(fragment.directives, scope);
+    validateSelectionSet(type, fragment.selectionSet, scope);
+  });
+
+  // --- operation names: unique, and an anonymous operation must stand alone ---
+  var operations = ast.definitions.filter(function(def) { return def.kind === 'OperationDef'; });
+  var opNames    = Object.create(null);
+  operations.forEach(function(def) {
+    if (!def.name) {
+      if (operations.length > 1) {
+        errors.push(validationError('This anonymous operation must be the only defined operation.', [def]));
+      }
+      return;
+    }
+    if (opNames[def.name]) {
+      errors.push(validationError('There can be only one operation named "' + def.name + '".', [opNames[def.name], def]));
+    }
+    opNames[def.name] = def;
+  });
+
+  // --- each operation, then its variables across every fragment it reaches ---
+  operations.forEach(function(def) {
+
+    var rootType = def.operation === 'query'        ? schema.queryType
+                 : def.operation === 'mutation'     ? schema.mutationType
+                 : def.operation === 'subscription' ? schema.subscriptionType
+                 : null;
+    if (!rootType) {
+      errors.push(validationError('Schema is not configured to execute ' + def.operation + ' operation.', [def]));
+      return;
+    }
+    if (def.operation === 'subscription') {
+      validateSubscriptionRoot(def, fragments, errors);
+    }
+
+    var scope = { schema: schema, errors: errors, fragments: fragments, usages: [], spreads: [] };
+    validateDirectiveArgs(def.directives, scope);
+    validateSelectionSet(rootType, def.selectionSet, scope);
+
+    var varDefs = Object.create(null);
+    def.variableDefinitions.forEach(function(varDef) {
+      if (varDefs[varDef.name]) {
+        errors.push(validationError('There can be only one variable named "$' + varDef.name + '".', [varDefs[varDef.name], varDef]));
+      }
+      varDefs[varDef.name] = varDef;
+
+      var varType = getNamedType(schema, varDef.type);
+      if (!varType) {
+        errors.push(validationError('Unknown type "' + typeToString(varDef.type) + '".', [varDef]));
+      } else if (!isInputType(varType)) {
+        errors.push(validationError('Variable "$' + varDef.name + '" cannot be non-input type "' + typeToString(varDef.type) + '".', [varDef]));
+      } else if (varDef.defaultValue) {
+        validateLiteral(schema, varDef.defaultValue, varDef.type, errors, []);
+      }
+    });
+
+    // gather usages from the operation and every fragment it spreads
+    var usages  = scope.usages.slice();
+    var pending = scope.spreads.slice();
+    var reached = Object.create(null);
+    while (pending.length) {
+      var name = pending.shift();
+      if (reached[name] || !fragmentScopes[name]) continue;
+      reached[name] = true;
+      usages  = usages.concat(fragmentScopes[name].usages);
+      pending = pending.concat(fragmentScopes[name].spreads);
+    }
+
+    var used = Object.create(null);
+    usages.forEach(function(usage) {
+      used[usage.name] = true;
+      var varDef = varDefs[usage.name];
+      if (!varDef) {
+        errors.push(validationError(
+          'Variable "$' + usage.name + '" is not defined' + (def.name ? ' by operation "' + def.name + '"' : '') + '.',
+          [usage.node, def]
+        ));
+        return;
+      }
+      if (!usage.type || !getNamedType(schema, varDef.type)) return;
+
+      // a nullable variable may feed a non-null position if a default covers it
+      var expected = usage.type;
+      if (expected.kind === 'NonNullType' && varDef.type.kind !== 'NonNullType' &&
+          ((varDef.defaultValue && varDef.defaultValue.kind !== 'NullValue') || usage.hasLocationDefault)) {
+        expected = expected.type;
+      }
+      if (!isTypeSubTypeOf(varDef.type, expected)) {
+        errors.push(validationError(
+          'Variable "$' + usage.name + '" of type "' + typeToString(varDef.type) + '" used in position expecting type "' + typeToString(usage.type) + '".',
+          [varDef, usage.node]
+        ));
+      }
+    });
+
+    def.variableDefinitions.forEach(function(varDef) {
+      if (!used[varDef.name]) {
+        errors.push(validationError(
+          'Variable "$' + varDef.name + '" is never used' + (def.name ? ' in operation "' + def.name + '"' : '') + '.',
+          [varDef]
+        ));
+      }
+    });
+  });
+
+  return errors;
+}
+
+// ============================================================
+// QUERY ANALYSIS
+// A static pass over a validated document, before anything
+// runs, that sizes the operation to execute:
+//   depth   – the deepest field nesting (a root field is 1)
+//   breadth – the most fields any one selection set asks for
+//   cost    – an estimate of the work, summed over every field:
+//               cost(field) = own + size × cost(its selections)
+//             own  – the field's `cost` in the schema; by default
+//                    1, or 0 for a scalar or enum field
+//             size – for a field that returns a list or takes
+//                    first / last / limit: that argument's value,
+//                    else the field's `listSize`, else
+//                    DEFAULT_LIST_SIZE; 1 for anything else. A
+//                    `listSize` function is called each time, so a
+//                    list that can return a whole table is costed
+//                    at the table's current size
+// Fragments are expanded, and @skip / @include are ignored, so
+// the estimate is an upper bound. Fields that bring the same
+// Field nodes are sized once and the result reused, so the pass
+// grows with the document, not with what it expands to. Introspection fields (__schema,
+// __type, __typename) cost nothing and are not walked.
+// ============================================================
+var DEFAULT_LIST_SIZE = 10;
+
+var SLICING_ARGS = ['first', 'last', 'limit'];
+
+// --- an Int argument's value from a literal or a variable, or null ---
+function intArgument(fieldNode, name, variables, varDefaults) {
+  var arg = (fieldNode.arguments || []).filter(function(a) { return a.name === name; })[0];
+  if (!arg) return null;
+  var value = arg.value;
+  if (value.kind === 'Variable') {
+    var raw = variables && variables[value.name] !== undefined ? variables[value.name] : varDefaults[value.name];
+    return typeof raw === 'number' ? raw : null;
+  }
+  return value.kind === 'IntValue' ? value.value : null;
+}
+
+function isListTypeRef(typeNode) {
+  if (typeNode.kind === 'NonNullType') typeNode = typeNode.type;
+  return typeNode.kind === 'ListType';
+}
+
+// --- how many times a field's selections are assumed to run ---
+function fieldListSize(fieldDef, fieldNode, scope) {
+  var slices = SLICING_ARGS.filter(function(name) { return fieldDef.args[name]; });
+  if (!slices.length && !isListTypeRef(fieldDef.type)) return 1;
+
+  var sizes = slices.map(function(name) {
+    return intArgument(fieldNode, name, scope.variables, scope.varDefaults);
+  }).filter(function(n) { return n !== null && n >= 0; });
+  if (sizes.length) return Math.min.apply(null, sizes);
+  if (fieldDef.listSize === null) return DEFAULT_LIST_SIZE;
+  return typeof fieldDef.listSize === 'function' ? fieldDef.listSize() : fieldDef.listSize;
+}
+
+// --- responseKey → [Field nodes], fragments expanded, like collectFields ---
+function collectStaticFields(selections, fragments, fields, visited) {
+  selections.forEach(function(sel) {
+    if (sel.kind === 'Field') {
+      var key = sel.alias || sel.name;
+      (fields[key] = fields[key] || []).push(sel);
+    } else if (sel.kind === 'InlineFragment') {
+      collectStaticFields(sel.selectionSet, fragments, fields, visited);
+    } else if (fragments[sel.name] && !visited[sel.name]) {
+      visited[sel.name] = true;
+      collectStaticFields(fragments[sel.name].selectionSet, fragments, fields, visited);
+    }
+  });
+  return fields;
+}
+
+// --- a small number per AST node, for memo keys ---
+function analysisNodeId(node, scope) {
+  if (!scope.nodeIds.has(node)) scope.nodeIds.set(node, scope.nodeIds.size);
+  return scope.nodeIds.get(node);
+}
+
+// depth here is counted from this selection set down (1 if it has
+// any fields), so a result holds wherever the same fields appear
+function analyzeSelections(parentType, selections, scope) {
+  var fields = collectStaticFields(selections, scope.fragments, Object.create(null), Object.create(null));
+  var keys   = Object.keys(fields);
+  var result = { depth: keys.length ? 1 : 0, breadth: keys.length, cost: 0 };
+
+  keys.forEach(function(key) {
+    var fieldNodes = fields[key];
+    var fieldDef   = fieldNodes[0].name.indexOf('__') === 0 ? null : parentType.fields[fieldNodes[0].name];
+    if (!fieldDef) return;
+
+    var namedType = getNamedType(scope.schema, fieldDef.type);
+    var own       = fieldDef.cost !== null ? fieldDef.cost : (isLeafType(namedType) ? 0 : 1);
+    var subCost   = 0;
+
+    if (!isLeafType(namedType)) {
+      var sub = analyzeFieldSelections(namedType, fieldNodes, scope);
+      result.depth   = Math.max(result.depth, sub.depth + 1);
+      result.breadth = Math.max(result.breadth, sub.breadth);
+      subCost = sub.cost;
+    }
+    result.cost += own + fieldListSize(fieldDef, fieldNodes[0], scope) * subCost;
+  });
+
+  return result;
+}
+
+// --- the merged selections of one field's nodes, each set of nodes sized once ---
+//   A fragment spread in many places brings the same Field nodes
+//   every time, so without the memo a chain of fragments that each
+//   spread the next twice would be walked 2^n times.
+function analyzeFieldSelections(namedType, fieldNodes, scope) {
+  var key = namedType.name + ':' + fieldNodes.map(function(node) {
+    return analysisNodeId(node, scope);
+  }).join(',');
+  if (!scope.analyzed[key]) {
+    var subSelections = [];
+    fieldNodes.forEach(function(node) { subSelections = subSelections.concat(node.selectionSet || []); });
+    scope.analyzed[key] = analyzeSelections(namedType, subSelections, scope);
+  }
+  return scope.analyzed[key];
+}
+
+// --------------------------------------------------------
+// analyzeQuery(schema, ast, operationName, variables)
+// Returns { depth, breadth, cost } for the operation that would
+// run, or null if there is no such operation (execute reports it).
+// --------------------------------------------------------
+function analyzeQuery(schema, ast, operationName, variables) {
+  var definition;
+  try {
+    definition = getOperation(ast, operationName);
+  } catch (err) {
+    return null;
+  }
+
+  var fragments = Object.create(null);
+  ast.definitions.forEach(function(def) {
+    if (def.kind === 'FragmentDef') fragments[def.name] = def;
+  });
+  var varDefaults = {};
+  definition.variableDefinitions.forEach(function(varDef) {
+    if (varDef.defaultValue && varDef.defaultValue.kind === 'IntValue') {
+      varDefaults[varDef.name] = varDef.defaultValue.value;
+    }
+  });
+
+  var rootType = definition.operation === 'mutation'     ? schema.mutationType
+               : definition.operation === 'subscription' ? schema.subscriptionType
+               : schema.queryType;
+  var scope = {
+    schema:      schema,
+    fragments:   fragments,
+    variables:   variables,
+    varDefaults: varDefaults,
+    nodeIds:     new Map(),
+    analyzed:    Object.create(null)
+  };
+  return analyzeSelections(rootType, definition.selectionSet, scope);
+}
+
+// --- one QUERY_TOO_COMPLEX error per limit the analysis exceeds ---
+function complexityErrors(analysis, limits) {
+  var errors = [];
+  if (analysis.depth > limits.maxDepth) {
+    errors.push(codedError('QUERY_TOO_COMPLEX', 'Query depth ' + analysis.depth + ' exceeds the maximum depth of ' + limits.maxDepth + '.'));
+  }
+  if (analysis.breadth > limits.maxBreadth) {
+    errors.push(codedError('QUERY_TOO_COMPLEX', 'A selection set of ' + analysis.breadth + ' fields exceeds the maximum breadth of ' + limits.maxBreadth + '.'));
+  }
+  if (analysis.cost > limits.maxCost) {
+    errors.push(codedError('QUERY_TOO_COMPLEX', 'Query cost ' + analysis.cost + ' exceeds the maximum cost of ' + limits.maxCost + '.'));
+  }
+  return errors;
+}
+
+// ============================================================
+// EXECUTOR (inlined from executor.js)
+// Walks the parsed AST, calls resolvers, recursively resolves
+// nested fields, and returns a JSON-ready result.
+// ============================================================
+
+// --------------------------------------------------------
+// Collapse a schema-typed AST value node into a plain JS
+// value. The document has already been validated, so this
+// only converts: enum names stay strings, Int literals in
+// ID / Float positions become strings / numbers, and input
+// objects pick up their declared default values.
+//   variables – coerced variable values for the running operation
+// Returns undefined for a variable that was not provided.
+// --------------------------------------------------------
+function valueFromAST(node, typeNode, variables) {
+  if (node.kind === 'Variable') {
+    return variables ? variables[node.name] : undefined;
+  }
+  if (typeNode.kind === 'NonNullType') {
+    return valueFromAST(node, typeNode.type, variables);
+  }
+  if (node.kind === 'NullValue') return null;
+
+  if (typeNode.kind === 'ListType') {
+    var items = node.kind === 'ListValue' ? node.value : [node];
+    return items.map(function(item) {
+      var v = valueFromAST(item, typeNode.type, variables);
+      return v === undefined ? null : v;
+    });
+  }
+
+  var type = schema.types[typeNode.name];
+  if (type.kind === 'INPUT_OBJECT') {
+    var given = {};
+    node.value.forEach(function(field) { given[field.name] = field.value; });
+    var obj = {};
+    Object.keys(type.fields).forEach(function(name) {
+      var fieldDef = type.fields[name];
+      var v = given[name] ? valueFromAST(given[name], fieldDef.type, variables) : undefined;
+      if (v === undefined) v = fieldDef.defaultValue;
+      // a field bound to an unprovided variable is simply absent
+      if (v !== undefined) obj[name] = v;
+    });
+    return obj;
+  }
+  if (type.name === 'ID') return String(node.value);
+  return node.value;
+}
+
+// --------------------------------------------------------
+// Build a field's argument object from its AST node, applying
+// the schema's default values for anything not given
+// --------------------------------------------------------
+function coerceArgumentValues(fieldDef, fieldNode, variables) {
+  var given = {};
+  fieldNode.arguments.forEach(function(arg) { given[arg.name] = arg.value; });
+
+  var args = {};
+  Object.keys(fieldDef.args).forEach(function(name) {
+    var argDef = fieldDef.args[name];
+    var v = given[name] ? valueFromAST(given[name], argDef.type, variables) : undefined;
+    if (v === undefined) v = argDef.defaultValue;
+    // an argument bound to an unprovided variable is simply absent
+    if (v !== undefined) args[name] = v;
+  });
+  return args;
+}
+
+// --------------------------------------------------------
+// Variable coercion
+//   Checks the request's `variables` object against the
+//   operation's declared types ($id: ID!, $tags: [String])
+//   and fills in default values.
+// --------------------------------------------------------
+
+// --- coerce one raw JSON value against a type node; throws on mismatch ---
+function coerceInputValue(value, typeNode) {
+  if (typeNode.kind === 'NonNullType') {
+    if (value === null || value === undefined) {
+      throw new Error('Expected non-nullable type "' + typeToString(typeNode) + '" not to be null.');
+    }
+    return coerceInputValue(value, typeNode.type);
+  }
+
+  if (value === null || value === undefined) return null;
+
+  if (typeNode.kind === 'ListType') {
+    // a single item is accepted where a list is expected
+    if (!Array.isArray(value)) return [coerceInputValue(value, typeNode.type)];
+    return value.map(function(item) {
+      return coerceInputValue(item, typeNode.type);
+    });
+  }
+
+  var type = schema.types[typeNode.name];
+
+  if (type.kind === 'SCALAR') return type.parseValue(value);
+
+  if (type.kind === 'ENUM') {
+    if (typeof value !== 'string' || type.values.indexOf(value) === -1) {
+      throw new Error('Value ' + JSON.stringify(value) + ' does not exist in "' + type.name + '" enum.');
+    }
+    return value;
+  }
+
+  // INPUT_OBJECT
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Expected type "' + type.name + '" to be an object.');
+  }
+  Object.keys(value).forEach(function(name) {
+    if (!type.fields[name]) {
+      throw new Error('Field "' + name + '" is not defined by type "' + type.name + '".');
+    }
+  });
+  var obj = {};
+  Object.keys(type.fields).forEach(function(name) {
+    var fieldDef = type.fields[name];
+    if (value[name] !== undefined) {
+      try {
+        obj[name] = coerceInputValue(value[name], fieldDef.type);
+      } catch (err) {
+        throw new Error('At "' + name + '": ' + err.message);
+      }
+    } else if (fieldDef.defaultValue !== undefined) {
+      obj[name] = fieldDef.defaultValue;
+    } else if (fieldDef.type.kind === 'NonNullType') {
+      throw new Error('Field "' + name + '" of required type "' + typeToString(fieldDef.type) + '" was not provided.');
+    }
+  });
+  return obj;
+}
+
+// --- build the variable map for one operation ---
+function getVariableValues(definition, inputs) {
+  var coerced = Object.create(null);
+  var errors  = [];
+  inputs = inputs || {};
+
+  (definition.variableDefinitions || []).forEach(function(varDef) {
+    var name     = varDef.name;
+    var typeStr  = typeToString(varDef.type);
+    var provided = Object.prototype.hasOwnProperty.call(inputs, name);
+
+    if (!provided) {
+      if (varDef.defaultValue) {
+        coerced[name] = valueFromAST(varDef.defaultValue, varDef.type);
+      } else if (varDef.type.kind === 'NonNullType') {
+        errors.push(new GraphQLError(
+          'Variable "$' + name + '" of required type "' + typeStr + '" was not provided.',
+          [varDef], null, { code: 'BAD_USER_INPUT' }
+        ));
+      }
+      return;
+    }
+
+    try {
+      coerced[name] = coerceInputValue(inputs[name], varDef.type);
+    } catch (err) {
+      errors.push(new GraphQLError(
+        'Variable "$' + name + '" got invalid value ' + JSON.stringify(inputs[name]) + '; ' + err.message,
+        [varDef], null, { code: 'BAD_USER_INPUT' }
+      ));
+    }
+  });
+
+  return errors.length ? { errors: errors } : { coerced: coerced };
+}
+
+// --------------------------------------------------------
+// Directives
+//   @include(if:) / @skip(if:) are built in and decide whether
+//   a field or fragment is collected at all. Any other directive
+//   must be registered with registerDirective() and is a field
+//   transform: its handler wraps the resolver call.
+//
+//   registerDirective(name, handler, options)
+//     options – { description, args: { name: "Type" } }; the
+//               arguments are validated like field arguments
+//
+//   handler(resolve, directiveArgs, info)
+//     resolve       – function() returning the field's value (the
+//                     resolver, or the next directive inward); it
+//                     may be a Promise — see mapMaybePromise()
+//     directiveArgs – the directive's own arguments
+//     info          – { fieldName, args, parent }
+// --------------------------------------------------------
+var directiveHandlers = Object.create(null);
+
+// name → { name, description, locations, args } — used by the
+// validator and exposed through __schema { directives }
+var directiveDefinitions = declaredMap({
+  include: {
+    name:        'include',
+    description: 'Directs the executor to include this field or fragment only when the `if` argument is true.',
+    locations:   ['FIELD', 'FRAGMENT_SPREAD', 'INLINE_FRAGMENT'],
+    args:        declaredMap({ 'if': { name: 'if', type: parseTypeRef('Boolean!'), description: 'Included when true.' } })
+  },
+  skip: {
+    name:        'skip',
+    description: 'Directs the executor to skip this field or fragment when the `if` argument is true.',
+    locations:   ['FIELD', 'FRAGMENT_SPREAD', 'INLINE_FRAGMENT'],
+    args:        declaredMap({ 'if': { name: 'if', type: parseTypeRef('Boolean!'), description: 'Skipped when true.' } })
+  }
+});
+
+function registerDirective(name, handler, options) {
+  if (name === 'include' || name === 'skip') {
+    throw new Error('Directive "@' + name + '" is built in and cannot be replaced.');
+  }
+  options = options || {};
+
+  var args = Object.create(null);
+  Object.keys(options.args || {}).forEach(function(argName) {
+    args[argName] = { name: argName, type: parseTypeRef(options.args[argName]) };
+  });
+
+  directiveHandlers[name]    = handler;
+  directiveDefinitions[name] = {
+    name:        name,
+    description: options.description || null,
+    locations:   ['FIELD'],
+    args:        args
+  };
+}
+
+// --- evaluate @skip / @include on a field or fragment node ---
+function shouldIncludeNode(node, exeContext) {
+  var include = true;
+  (node.directives || []).forEach(function(dir) {
+    if (dir.name !== 'include' && dir.name !== 'skip') return;
+    var cond = coerceArgumentValues(directiveDefinitions[dir.name], dir, exeContext.variables)['if'];
+    if (dir.name === 'skip'    &&  cond) include = false;
+    if (dir.name === 'include' && !cond) include = false;
+  });
+  return include;
+}
+
+// --------------------------------------------------------
+// Wrap a field's resolve function in its custom directives.
+// Directives apply left to right: in `title @a @b`, @a sees
+// the resolver's value and @b sees @a's result.
+// --------------------------------------------------------
+function applyFieldDirectives(resolve, fieldNodes, info, exeContext) {
+  var seen = {};
+  fieldNodes.forEach(function(node) {
+    (node.directives || []).forEach(function(dir) {
+      var handler = directiveHandlers[dir.name];
+      if (!handler || seen[dir.name]) return;
+      seen[dir.name] = true;
+
+      var inner = resolve;
+      var dirArgs = coerceArgumentValues(directiveDefinitions[dir.name], dir, exeContext.variables);
+      resolve = function() {
+        return handler(inner, dirArgs, info);
+      };
+    });
+  });
+  return resolve;
+}
+
+// --------------------------------------------------------
+// Field permissions
+//   A schema field may carry `auth`: a rule name, or a list of
+//   names of which any one passing grants access. The rules run
+//   before the field's resolver; a denial is a field error,
+//   UNAUTHENTICATED when nobody is signed in, FORBIDDEN otherwise.
+//
+//   registerPermissionRule(name, check)
+//     check(parent, args, context) → Boolean
+//       parent  – the object the field is read from
+//       args    – the field's coerced arguments
+//       context – the request context ({ viewer, loaders })
+// --------------------------------------------------------
+var permissionRules = {};
+
+function registerPermissionRule(name, check) {
+  permissionRules[name] = check;
+}
+
+function checkFieldPermission(fieldDef, parentType, parent, args, contextValue) {
+  if (!fieldDef.auth) return;
+  var allowed = fieldDef.auth.some(function(ruleName) {
+    return permissionRules[ruleName](parent, args, contextValue);
+  });
+  if (allowed) return;
+
+  var coordinate = parentType.name + '.' + fieldDef.name;
+  if (!contextValue.viewer) {
+    throw unauthenticatedError('You must be logged in to access ' + coordinate + '.');
+  }
+  throw forbiddenError('You are not allowed to access ' + coordinate + '.');
+}
+
+// --------------------------------------------------------
+// Input rules
+//   Arguments and input-object fields may carry `rules`, a map
+//   of rule name → option, e.g. { required: true, maxLength: 80 }.
+//   Once a field's arguments are coerced, every value that was
+//   given is checked against its rules. `each` holds rules for
+//   every item of a list. All violations are reported together
+//   in one BAD_USER_INPUT error whose extensions.validationErrors
+//   maps each input path ("input.email", "input.tags.2") to its
+//   messages. Fields left out are not checked, and only
+//   `required` looks at null.
+//
+//   registerInputRule(name, check)
+//     check(value, option, info) → message, or null when valid
+//       info – { args, context }: all of the field's arguments
+//              and the request context
+// --------------------------------------------------------
+var inputRules = {};
+
+function registerInputRule(name, check) {
+  inputRules[name] = check;
+}
+
+function applyInputRules(rules, value, path, info, violations) {
+  Object.keys(rules).forEach(function(ruleName) {
+    if (ruleName === 'each') {
+      if (Array.isArray(value)) {
+        value.forEach(function(item, i) {
+          applyInputRules(rules.each, item, path.concat(i), info, violations);
+        });
+      }
+      return;
+    }
+    if (value === null && ruleName !== 'required') return;
+
+    var message = inputRules[ruleName](value, rules[ruleName], info);
+    if (message) {
+      var key = path.join('.');
+      (violations[key] = violations[key] || []).push(message);
+    }
+  });
+}
+
+// --- check value and everything inside it against the rules of def ---
+function collectInputViolations(schema, def, typeNode, value, path, info, violations) {
+  if (def && def.rules) {
+    applyInputRules(def.rules, value, path, info, violations);
+  }
+  if (value === null || value === undefined) return;
+  if (typeNode.kind === 'NonNullType') typeNode = typeNode.type;
+
+  if (typeNode.kind === 'ListType') {
+    value.forEach(function(item, i) {
+      collectInputViolations(schema, null, typeNode.type, item, path.concat(i), info, violations);
+    });
+    return;
+  }
+  var type = schema.types[typeNode.name];
+  if (type.kind !== 'INPUT_OBJECT') return;
+  Object.keys(type.fields).forEach(function(name) {
+    if (!Object.prototype.hasOwnProperty.call(value, name)) return;
+    var field = type.fields[name];
+    collectInputViolations(schema, field, field.type, value[name], path.concat(name), info, violations);
+  });
+}
+
+function checkInputRules(schema, fieldDef, args, contextValue) {
+  var info       = { args: args, context: contextValue };
+  var violations = {};
+  Object.keys(fieldDef.args || {}).forEach(function(argName) {
+    if (!Object.prototype.hasOwnProperty.call(args, argName)) return;
+    var argDef = fieldDef.args[argName];
+    collectInputViolations(schema, argDef, argDef.type, args[argName], [argName], info, violations);
+  });
+
+  var count = Object.keys(violations).length;
+  if (count) {
+    throw new GraphQLError('Invalid input: ' + count + ' field' + (count === 1 ? '' : 's') + ' failed validation.', null, null, {
+      code:             'BAD_USER_INPUT',
+      validationErrors: violations
+    });
+  }
+}
+
+// --------------------------------------------------------
+// Does a fragment's type condition match this object type?
+// --------------------------------------------------------
+function doesFragmentTypeApply(objectType, typeCondition) {
+  if (!typeCondition) return true;
+  return objectType.name === typeCondition;
+}
+
+// --------------------------------------------------------
+// Flatten a selection set into an ordered map of
+//   responseKey → [Field nodes]
+// expanding fragment spreads and inline fragments. Fields
+// that share a response key are merged and resolved once.
+// --------------------------------------------------------
+function collectFields(objectType, selections, exeContext, fields, visitedFragments) {
+  selections.forEach(function(sel) {
+    if (!shouldIncludeNode(sel, exeContext)) return;
+
+    switch (sel.kind) {
+      case 'Field':
+        var key = sel.alias || sel.name;
+        if (!fields[key]) fields[key] = [];
+        fields[key].push(sel);
+        break;
+
+      case 'InlineFragment':
+        if (!doesFragmentTypeApply(objectType, sel.typeCondition)) break;
+        collectFields(objectType, sel.selectionSet, exeContext, fields, visitedFragments);
+        break;
+
+      case 'FragmentSpread':
+        if (visitedFragments[sel.name]) break;
+        visitedFragments[sel.name] = true;
+        var fragment = exeContext.fragments[sel.name];
+        if (!fragment || !doesFragmentTypeApply(objectType, fragment.typeCondition)) break;
+        collectFields(objectType, fragment.selectionSet, exeContext, fields, visitedFragments);
+        break;
+    }
+  });
+  return fields;
+}
+
+// --- concatenate the sub-selections of merged Field nodes ---
+function mergeSelectionSets(fieldNodes) {
+  var merged = [];
+  fieldNodes.forEach(function(node) {
+    if (node.selectionSet) merged = merged.concat(node.selectionSet);
+  });
+  return merged;
+}
+
+// --------------------------------------------------------
+// Promise helpers
+//   Resolvers may return plain values or Promises. The executor
+//   stays synchronous for plain values and only switches to
+//   Promises where one actually appears.
+// --------------------------------------------------------
+function isPromise(value) {
+  return value !== null && typeof value === 'object' && typeof value.then === 'function';
+}
+
+// --- apply fn to a value, or to what a Promise settles to ---
+function mapMaybePromise(value, fn) {
+  return isPromise(value) ? value.then(fn) : fn(value);
+}
+
+// --- { key: value | Promise } → object, or Promise of one ---
+function settleObject(keys, values) {
+  var build = function(settled) {
+    var obj = Object.create(null);
+    keys.forEach(function(key, i) { obj[key] = settled[i]; });
+    return obj;
+  };
+  return values.some(isPromise) ? Promise.all(values).then(build) : build(values);
+}
+
+// --- list.map(fn); if fn throws part-way, values already started
+//     are waited on before rethrowing, so none is left unobserved ---
+function mapAll(list, fn) {
+  var values = [];
+  try {
+    list.forEach(function(item, index) { values.push(fn(item, index)); });
+  } catch (err) {
+    if (!values.some(isPromise)) throw err;
+    var rethrow = function() { throw err; };
+    return Promise.all(values).then(rethrow, rethrow);
+  }
+  return values;
+}
+
+// --------------------------------------------------------
+// Field errors
+//   A field whose resolver throws (or whose value cannot be
+//   completed) becomes null and its error is recorded with the
+//   field's path and locations. If the field is non-null, null
+//   is not allowed there: the error is rethrown so the nearest
+//   nullable parent becomes null instead. An error is recorded
+//   exactly once, by the field that ends up null.
+// --------------------------------------------------------
+function handleFieldError(rawError, returnType, fieldNodes, path, exeContext) {
+  var error = locatedError(rawError, fieldNodes, path);
+  if (returnType.kind === 'NonNullType') {
+    throw error;
+  }
+  exeContext.errors.push(error);
+  return null;
+}
+
+// --- run complete(), turning a throw or a rejection into a field error ---
+function completeOrNull(returnType, fieldNodes, path, exeContext, complete) {
+  var onError = function(err) {
+    return handleFieldError(err, returnType, fieldNodes, path, exeContext);
+  };
+  var completed;
+  try {
+    completed = complete();
+  } catch (err) {
+    return onError(err);
+  }
+  return isPromise(completed) ? completed.then(null, onError) : completed;
+}
+
+// --------------------------------------------------------
+// Resolve one field (all Field nodes sharing a response key)
+// and complete its value. Returns a value or a Promise.
+//   path – response path of this field, e.g. ['posts', 0, 'author']
+// --------------------------------------------------------
+function executeField(parentType, parent, fieldNodes, path, exeContext) {
+  var fieldNode = fieldNodes[0];
+  var fieldName = fieldNode.name;
+
+  var fieldDef = getFieldDef(exeContext.schema, parentType, fieldName);
+  var args     = coerceArgumentValues(fieldDef, fieldNode, exeContext.variables);
+
+  var resolve = function() {
+    // access rules declared on the field come before anything runs
+    checkFieldPermission(fieldDef, parentType, parent, args, exeContext.contextValue);
+    checkInputRules(exeContext.schema, fieldDef, args, exeContext.contextValue);
+
+    // 0) Meta-fields (__typename, __schema, __type) answer from the schema
+    if (fieldDef.resolve) {
+      return fieldDef.resolve(exeContext.schema, parentType, args);
+    }
+    // 1) If parent has a function with this field name, call it
+    //    (this is how nested resolvers work — wrapUser / wrapPost / etc.)
+    if (typeof parent[fieldName] === 'function') {
+      return parent[fieldName](args, exeContext.contextValue);
+    }
+    // 2) Otherwise just read the property directly
+    if (parent[fieldName] !== undefined) {
+      return parent[fieldName];
+    }
+    // 3) Nothing there — null
+    return null;
+  };
+
+  // custom directives (@uppercase, ...) wrap the resolver call
+  resolve = applyFieldDirectives(resolve, fieldNodes, { fieldName: fieldName, args: args, parent: parent }, exeContext);
+
+  return completeOrNull(fieldDef.type, fieldNodes, path, exeContext, function() {
+    return completeValue(fieldDef.type, resolve(), fieldNodes, path, exeContext, parentType.name + '.' + fieldName);
+  });
+}
+
+// --------------------------------------------------------
+// Core recursive executor
+//   parentType – the schema OBJECT type of `parent`
+//   parent     – the JS value the current selection set runs against
+//   selections – array of selection AST nodes (fields and fragments)
+//   path       – response path of `parent` ([] at the root)
+//   exeContext – per-operation state ({ schema, variables, fragments, contextValue, errors })
+// Every field's resolver is started before any is awaited, so
+// sibling fields resolve concurrently.
+// Returns a plain object ready for JSON serialisation, or a
+// Promise of one if any resolver returned a Promise.
+// --------------------------------------------------------
+function executeSelections(parentType, parent, selections, path, exeContext) {
+  var fields = collectFields(parentType, selections, exeContext, Object.create(null), Object.create(null));
+  var keys   = Object.keys(fields);
+
+  var values = mapAll(keys, function(responseKey) {
+    return executeField(parentType, parent, fields[responseKey], path.concat(responseKey), exeContext);
+  });
+
+  return isPromise(values) ? values : settleObject(keys, values);
+}
+
+// --------------------------------------------------------
+// Same as executeSelections, but each field's resolver only
+// starts once the previous field has fully settled. Used for
+// the top level of a mutation.
+// --------------------------------------------------------
+function executeSelectionsSerially(parentType, parent, selections, path, exeContext) {
+  var fields = collectFields(parentType, selections, exeContext, Object.create(null), Object.create(null));
+  var result = Object.create(null);
+
+  var done = Object.keys(fields).reduce(function(prev, responseKey) {
+    return mapMaybePromise(prev, function() {
+      var value = executeField(parentType, parent, fields[responseKey], path.concat(responseKey), exeContext);
+      return mapMaybePromise(value, function(value) {
+        result[responseKey] = value;
+      });
+    });
+  }, undefined);
+
+  return mapMaybePromise(done, function() { return result; });
+}
+
+// --------------------------------------------------------
+// Shape a resolved value to its declared type:
+//   Promise – wait for it, then complete what it settles to
+//   NonNull – must not be null
+//   List    – complete each item; a failing item is a field
+//             error at its own index
+//   leaf    – serialize the scalar / check the enum value
+//   object  – run the merged sub-selections against it
+// --------------------------------------------------------
+function completeValue(typeNode, value, fieldNodes, path, exeContext, coordinate) {
+  if (isPromise(value)) {
+    return value.then(function(resolved) {
+      return completeValue(typeNode, resolved, fieldNodes, path, exeContext, coordinate);
+    });
+  }
+
+  if (typeNode.kind === 'NonNullType') {
+    return mapMaybePromise(completeValue(typeNode.type, value, fieldNodes, path, exeContext, coordinate), function(completed) {
+      if (completed === null) {
+        throw new Error('Cannot return null for non-nullable field ' + coordinate + '.');
+      }
+      return completed;
+    });
+  }
+
+  if (value === null || value === undefined) return null;
+
+  if (typeNode.kind === 'ListType') {
+    if (!Array.isArray(value)) {
+      throw new Error('Expected a list for field ' + coordinate + '.');
+    }
+    var items = mapAll(value, function(item, index) {
+      var itemPath = path.concat(index);
+      return completeOrNull(typeNode.type, fieldNodes, itemPath, exeContext, function() {
+        return completeValue(typeNode.type, item, fieldNodes, itemPath, exeContext, coordinate);
+      });
+    });
+    if (isPromise(items)) return items;
+    return items.some(isPromise) ? Promise.all(items) : items;
+  }
+
+  var type = exeContext.schema.types[typeNode.name];
+
+  if (type.kind === 'SCALAR') return type.serialize(value);
+
+  if (type.kind === 'ENUM') {
+    if (type.values.indexOf(value) === -1) {
+      throw new Error('Enum "' + type.name + '" cannot represent value: ' + JSON.stringify(value));
+    }
+    return value;
+  }
+
+  return executeSelections(type, value, mergeSelectionSets(fieldNodes), path, exeContext);
+}
+
+// --------------------------------------------------------
+// Pick the operation to run from a document
+//   operationName – required when the document holds several
+// Returns the OperationDef node, or throws
+// --------------------------------------------------------
+function getOperation(ast, operationName) {
+  var operations = ast.definitions.filter(function(def) {
+    return def.kind === 'OperationDef';
+  });
+
+  if (operationName) {
+    var named = operations.filter(function(def) { return def.name === operationName; })[0];
+    if (!named) {
+      throw codedError('OPERATION_RESOLUTION_FAILURE', 'Unknown operation named "' + operationName + '".');
+    }
+    return named;
+  }
+
+  if (operations.length === 0) {
+    throw codedError('OPERATION_RESOLUTION_FAILURE', 'Must provide an operation.');
+  }
+  if (operations.length > 1) {
+    throw codedError('OPERATION_RESOLUTION_FAILURE', 'Must provide operation name if query contains multiple operations.');
+  }
+  return operations[0];
+}
+
+// --------------------------------------------------------
+// The per-operation state every field is executed with, or
+// { errors } when the request variables do not fit the
+// operation's variable definitions.
+// --------------------------------------------------------
+function buildExecutionContext(ast, definition, variables, contextValue) {
+  var fragments = Object.create(null);
+  ast.definitions.forEach(function(def) {
+    if (def.kind === 'FragmentDef') fragments[def.name] = def;
+  });
+
+  // Coerce the request variables before any resolver runs
+  var varResult = getVariableValues(definition, variables);
+  if (varResult.errors) {
+    return { errors: varResult.errors };
+  }
+
+  return {
+    schema:       schema,
+    variables:    varResult.coerced,
+    fragments:    fragments,
+    contextValue: contextValue || createContext(),
+    errors:       []
+  };
+}
+
+// --------------------------------------------------------
+// Main entry: execute a parsed and validated AST document
+//   ast           – the Document node returned by parse()
+//   variables     – raw `variables` object from the request body
+//   operationName – which operation to run (optional if only one)
+//   contextValue  – per-request object handed to every resolver as
+//                   its second argument ({ loaders })
+// Query fields run against the query root and mutation fields
+// against the mutation root only. Mutation fields run one after
+// another in document order, each seeing the previous one's writes.
+// A field that fails becomes null (see handleFieldError), so the
+// result may hold both: { errors: [...], data: {...} }. Errors
+// that stop the operation before it starts (unknown operation,
+// bad variables) give { errors } with no data.
+// Returns a Promise, settled only once every resolver in the tree
+// has settled.
+// --------------------------------------------------------
+function execute(ast, variables, operationName, contextValue) {
+  var fail = function(err) {
+    return { errors: [locatedError(err)] };
+  };
+
+  try {
+    var definition = getOperation(ast, operationName);
+    if (definition.operation === 'subscription') {
+      throw codedError('OPERATION_RESOLUTION_FAILURE', 'Subscription operations are run with subscribe(), not execute().');
+    }
+
+    var exeContext = buildExecutionContext(ast, definition, variables, contextValue);
+    if (exeContext.errors.length) {
+      return Promise.resolve({ errors: exeContext.errors });
+    }
+    var isMutation = definition.operation === 'mutation';
+    var rootType   = isMutation ? schema.mutationType : schema.queryType;
+    var rootValue  = isMutation ? mutationResolvers : queryResolvers;
+
+    // Execute each top-level field against its root resolver object —
+    // concurrently for a query, one at a time for a mutation. A
+    // synchronous throw lands in the same rejection handler.
+    var data = new Promise(function(resolve) {
+      resolve(isMutation
+        ? executeSelectionsSerially(rootType, rootValue, definition.selectionSet, [], exeContext)
+        : executeSelections(rootType, rootValue, definition.selectionSet, [], exeContext));
+    });
+
+    return data.then(null, function(err) {
+      // a non-null root field failed — nothing is left to hold the null
+      exeContext.errors.push(locatedError(err));
+      return null;
+    }).then(function(settled) {
+      var result = {};
+      if (exeContext.errors.length) {
+        result.errors = exeContext.errors;
+      }
+      result.data = settled;
+      return result;
+    });
+
+  } catch (err) {
+    return Promise.resolve(fail(err));
+  }
+}
+
+// --------------------------------------------------------
+// Subscriptions
+//   subscribe(ast, variables, operationName, contextValue, send)
+// A subscription operation selects a single root field. Its
+// resolver in subscriptionResolvers is called once as
+//   resolver(args, context, emit) → unsubscribe function
+// and calls emit(value) for every event from then on. Each
+// value is executed through the operation's selection set like
+// a query result, and send(result) receives { errors?, data }
+// for every event in the order they were emitted.
+// Returns { unsubscribe }, or { errors } if the subscription
+// could not start (unknown operation, bad variables, a denied
+// or invalid root field).
+// --------------------------------------------------------
+function subscribe(ast, variables, operationName, contextValue, send) {
+  try {
+    var definition = getOperation(ast, operationName);
+    if (definition.operation !== 'subscription') {
+      throw codedError('OPERATION_RESOLUTION_FAILURE', 'Operation "' + (definition.name || 'anonymous') + '" is not a subscription.');
+    }
+
+    var base = buildExecutionContext(ast, definition, variables, contextValue);
+    if (base.errors.length) {
+      return { errors: base.errors };
+    }
+
+    var rootType   = schema.subscriptionType;
+    var fields     = collectFields(rootType, definition.selectionSet, base, Object.create(null), Object.create(null));
+    var fieldNodes = fields[Object.keys(fields)[0]];
+    var fieldDef   = getFieldDef(schema, rootType, fieldNodes[0].name);
+    var args       = coerceArgumentValues(fieldDef, fieldNodes[0], base.variables);
+
+    // refuse up front what every event would be refused
+    checkFieldPermission(fieldDef, rootType, null, args, base.contextValue);
+    checkInputRules(schema, fieldDef, args, base.contextValue);
+
+    var delivered = Promise.resolve();
+    var unsubscribe = subscriptionResolvers[fieldDef.name](args, base.contextValue, function(value) {
+      var exeContext = {
+        schema:       base.schema,
+        variables:    base.variables,
+        fragments:    base.fragments,
+        contextValue: base.contextValue,
+        errors:       []
+      };
+      var rootValue = {};
+      rootValue[fieldDef.name] = value;
+
+      var data = new Promise(function(resolve) {
+        resolve(executeSelections(rootType, rootValue, definition.selectionSet, [], exeContext));
+      }).then(null, function(err) {
+        exeContext.errors.push(locatedError(err));
+        return null;
+      });
+
+      delivered = delivered.then(function() { return data; }).then(function(settled) {
+        var result = {};
+        if (exeContext.errors.length) {
+          result.errors = exeContext.errors;
+        }
+        result.data = settled;
+        send(result);
+      });
+    });
+
+    return { unsubscribe: unsubscribe };
+
+  } catch (err) {
+    return { errors: [locatedError(err)] };
+  }
+}
+
+// ============================================================
+// CUSTOM DIRECTIVES
+// Field transforms available to every query. Register more
+// with registerDirective(name, handler, options) — see the executor.
+// ============================================================
+
+// --- apply fn to a string, or to each string in a list ---
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) {
+    return value.map(function(item) { return mapStrings(item, fn); });
+  }
+  return value;
+}
+
+// title @uppercase
+registerDirective('uppercase', function(resolve) {
+  return mapMaybePromise(resolve(), function(value) {
+    return mapStrings(value, function(str) { return str.toUpperCase(); });
+  });
+}, { description: 'Upper-cases a string field, or every string in a list.' });
+
+// title @lowercase
+registerDirective('lowercase', function(resolve) {
+  return mapMaybePromise(resolve(), function(value) {
+    return mapStrings(value, function(str) { return str.toLowerCase(); });
+  });
+}, { description: 'Lower-cases a string field, or every string in a list.' });
+
+// body @truncate(length: 40)  →  "first forty characters…"
+registerDirective('truncate', function(resolve, dirArgs) {
+  var length = dirArgs.length;
+  if (length < 0) {
+    throw userInputError('Directive "@truncate" requires a non-negative "length" argument.');
+  }
+  return mapMaybePromise(resolve(), function(value) {
+    return mapStrings(value, function(str) {
+      return str.length > length ? str.slice(0, length) + '\u2026' : str;
+    });
+  });
+}, { description: 'Cuts a string down to `length` characters.', args: { length: 'Int!' } });
+
+// ============================================================
+// INPUT RULES
+// Checks available to every argument and input field through
+// `rules` in the schema. Register more with
+// registerInputRule(name, check) — see the executor.
+// ============================================================
+
+function describeLength(value, n) {
+  return Array.isArray(value) ? n + ' item' + (n === 1 ? '' : 's') : n + ' character' + (n === 1 ? '' : 's');
+}
+
+// title: { required: true } — present, not null and not blank
+registerInputRule('required', function(value, option) {
+  if (!option) return null;
+  if (value === null || value === undefined) return 'must not be null';
+  if (typeof value === 'string' && !value.trim()) return 'must not be blank';
+  return null;
+});
+
+// strings count characters, lists count items
+registerInputRule('minLength', function(value, min) {
+  return value.length < min ? 'must have at least ' + describeLength(value, min) : null;
+});
+
+registerInputRule('maxLength', function(value, max) {
+  return value.length > max ? 'must have at most ' + describeLength(value, max) : null;
+});
+
+var INPUT_FORMATS = {
+  email: function(str) { return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str); },
+  url:   function(str) {
+    try {
+      var url = new URL(str);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (err) {
+      return false;
+    }
+  }
+};
+
+var FORMAT_NAMES = { email: 'an email address', url: 'an http(s) URL' };
+
+// website: { format: "url" }
+registerInputRule('format', function(value, format) {
+  return INPUT_FORMATS[format](value) ? null : 'must be ' + FORMAT_NAMES[format];
+});
+
+// kind: { oneOf: ["a", "b"] }
+registerInputRule('oneOf', function(value, allowed) {
+  return allowed.indexOf(value) === -1 ? 'must be one of ' + allowed.join(', ') : null;
+});
+
+// --- does a user other than exceptId have this address, ignoring case? ---
+function isEmailTaken(email, exceptId) {
+  return getAllUsers().some(function(u) {
+    return !!u.email && u.email.toLowerCase() === email.toLowerCase() && u.id !== exceptId;
+  });
+}
+
+// no other user has this address; the user being updated (args.id)
+// may keep their own. Anonymous callers are not told — createUser
+// turns them away without naming the address
+registerInputRule('uniqueEmail', function(value, option, info) {
+  if (!option || !info.context.viewer) return null;
+  return isEmailTaken(value, info.args.id) ? 'is already taken' : null;
+});
+
+// ============================================================
+// AUTHENTICATION
+// Passwords are stored as scrypt hashes; logins are answered with
+// a bearer token — a base64url JSON payload { sub, iat, exp }
+// followed by its HMAC-SHA256 under TOKEN_SECRET.
+// ============================================================
+
+// --- "salt:hash", both hex ---
+function hashPassword(password) {
+  var salt = crypto.randomBytes(16);
+  return salt.toString("hex") + ":" + crypto.scryptSync(password, salt, 32).toString("hex");
+}
+
+// a login for an unknown email, or a user without a password, is
+// checked against this instead, so it takes as long as a wrong password
+var DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+// --- resolves true when password matches the stored hash ---
+function verifyPassword(password, stored) {
+  return new Promise(function(resolve, reject) {
+    if (!stored) { resolve(false); return; }
+    var parts    = stored.split(":");
+    var expected = Buffer.from(parts[1], "hex");
+    crypto.scrypt(password, Buffer.from(parts[0], "hex"), expected.length, function(err, derived) {
+      if (err) { reject(err); return; }
+      resolve(crypto.timingSafeEqual(derived, expected));
+    });
+  });
+}
+
+function signPayload(encoded) {
+  return crypto.createHmac("sha256", TOKEN_SECRET).update(encoded).digest("base64url");
+}
+
+// --- { token, expiresAt } for the given user ---
+function issueToken(user) {
+  var now     = Math.floor(Date.now() / 1000);
+  var payload = { sub: user.id, iat: now, exp: now + TOKEN_TTL };
+  var encoded = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return {
+    token:     encoded + "." + signPayload(encoded),
+    expiresAt: new Date(payload.exp * 1000).toISOString()
+  };
+}
+
+// --- the user a token was issued to; throws UNAUTHENTICATED if it is
+//     malformed, forged, expired or names a user that no longer exists ---
+function verifyToken(token) {
+  var invalid = unauthenticatedError("Invalid or expired token.");
+  var parts   = token.split(".");
+  if (parts.length !== 2) throw invalid;
+
+  var given    = Buffer.from(parts[1], "base64url");
+  var expected = Buffer.from(signPayload(parts[0]), "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) throw invalid;
+
+  var payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[0], "base64url").toString());
+  } catch (e) {
+    throw invalid;
+  }
+  if (!payload || typeof payload.exp !== "number" || payload.exp * 1000 <= Date.now()) throw invalid;
+
+  var user = findUser(payload.sub);
+  if (!user) throw invalid;
+  return user;
+}
+
+// --- the viewer named by an Authorization header, or null without one ---
+function authenticate(header) {
+  if (!header) return null;
+  var match = /^Bearer\s+(\S+)\s*$/i.exec(header);
+  if (!match) {
+    throw unauthenticatedError("Authorization header must be of the form 'Bearer <token>'.");
+  }
+  return verifyToken(match[1]);
+}
+
+// ============================================================
+// DATABASE (inlined from db.js)
+// Seed data, storage, finders, mutation helpers, pagination.
+// ============================================================
+
+var users = [
+  { id: "1", name: "Alice Johnson",  email: "alice@example.com",   role: "ADMIN",     createdAt: "2024-01-10T08:00:00Z" },
+  { id: "2", name: "Bob Smith",      email: "bob@example.com",     role: "USER",      createdAt: "2024-02-15T10:30:00Z" },
+  { id: "3", name: "Charlie Brown",  email: "charlie@example.com", role: "USER",      createdAt: "2024-03-20T14:00:00Z" },
+  { id: "4", name: "Diana Prince",   email: "diana@example.com",   role: "MODERATOR", createdAt: "2024-04-05T09:15:00Z" },
+  { id: "5", name: "Edward Norton",  email: "edward@example.com",  role: "USER",      createdAt: "2024-05-12T16:45:00Z" }
+];
+
+// every seed user logs in with the password "password123"
+users.forEach(function(u) { u.passwordHash = hashPassword("password123"); });
+
+var posts = [
+  { id: "101", title: "Getting Started with GraphQL",  body: "GraphQL is a query language for APIs and a runtime for fulfilling those queries.",     authorId: "1", tags: ["graphql","api","tutorial"],       createdAt: "2024-06-01T08:00:00Z", published: true  },
+  { id: "102", title: "Understanding Resolvers",       body: "Resolvers are the heart of any GraphQL server. They map schema fields to data.",      authorId: "1", tags: ["graphql","resolvers"],            createdAt: "2024-06-10T10:00:00Z", published: true  },
+  { id: "103", title: "Node.js Best Practices",        body: "Here are proven best practices when building applications with Node.js.",             authorId: "2", tags: ["nodejs","javascript","backend"],  createdAt: "2024-06-15T12:00:00Z", published: true  },
   { id: "104", title: "REST vs GraphQL",               body: "A detailed comparison of REST and GraphQL approaches to API design.",                 authorId: "3", tags: ["graphql","rest","comparison"],    createdAt: "2024-07-01T09:00:00Z", published: true  },
   { id: "105", title: "Advanced Mutation Patterns",   body: "Mutations in GraphQL can be complex. Here is how to handle them gracefully.",        authorId: "2", tags: ["graphql","mutations"],            createdAt: "2024-07-20T11:00:00Z", published: false },
   { id: "106", title: "Database Design for APIs",     body: "A good database schema is the backbone of any robust API.",                          authorId: "4", tags: ["database","design","api"],        createdAt: "2024-08-05T14:00:00Z", published: true  },
@@ -443,206 +2956,1462 @@ var posts = [
   { id: "108", title: "Working with Subscriptions",  body: "Real-time data delivery with GraphQL subscriptions explained.",                      authorId: "5", tags: ["graphql","realtime"],             createdAt: "2024-09-02T16:00:00Z", published: true  }
 ];
 
-var comments = [
-  { id: "201", postId: "101", authorId: "2", body: "Great intro, very helpful!",                      createdAt: "2024-06-02T09:00:00Z" },
-  { id: "202", postId: "101", authorId: "3", body: "I was looking for exactly this.",                 createdAt: "2024-06-03T10:30:00Z" },
-  { id: "203", postId: "101", authorId: "4", body: "Could you cover subscriptions too?",              createdAt: "2024-06-04T11:00:00Z" },
-  { id: "204", postId: "102", authorId: "5", body: "Resolvers are indeed the core of GraphQL.",       createdAt: "2024-06-11T08:00:00Z" },
-  { id: "205", postId: "102", authorId: "2", body: "Nice deep dive into nested resolvers.",           createdAt: "2024-06-12T14:00:00Z" },
-  { id: "206", postId: "103", authorId: "1", body: "Point number 3 is so important.",                 createdAt: "2024-06-16T10:00:00Z" },
-  { id: "207", postId: "103", authorId: "4", body: "I would also add error handling best practices.",createdAt: "2024-06-17T12:00:00Z" },
-  { id: "208", postId: "104", authorId: "1", body: "GraphQL wins for complex client requirements.",  createdAt: "2024-07-02T09:00:00Z" },
-  { id: "209", postId: "104", authorId: "5", body: "REST is still great for simple use cases.",      createdAt: "2024-07-03T15:00:00Z" },
-  { id: "210", postId: "106", authorId: "2", body: "Normalization is key!",                          createdAt: "2024-08-06T08:00:00Z" },
-  { id: "211", postId: "106", authorId: "3", body: "What about NoSQL approaches?",                   createdAt: "2024-08-07T10:00:00Z" },
-  { id: "212", postId: "107", authorId: "3", body: "JWT tokens are my go-to for auth.",              createdAt: "2024-08-19T11:00:00Z" },
-  { id: "213", postId: "107", authorId: "5", body: "OAuth2 is also worth exploring.",                createdAt: "2024-08-20T13:00:00Z" },
-  { id: "214", postId: "108", authorId: "1", body: "Subscriptions changed everything for us.",      createdAt: "2024-09-03T09:00:00Z" },
-  { id: "215", postId: "108", authorId: "4", body: "We use WebSockets under the hood.",              createdAt: "2024-09-04T10:00:00Z" }
-];
+var comments = [
+  { id: "201", postId: "101", authorId: "2", body: "Great intro, very helpful!",                      createdAt: "2024-06-02T09:00:00Z" },
+  { id: "202", postId: "101", authorId: "3", body: "I was looking for exactly this.",                 createdAt: "2024-06-03T10:30:00Z" },
+  { id: "203", postId: "101", authorId: "4", body: "Could you cover subscriptions too?",              createdAt: "2024-06-04T11:00:00Z" },
+  { id: "204", postId: "102", authorId: "5", body: "Resolvers are indeed the core of GraphQL.",       createdAt: "2024-06-11T08:00:00Z" },
+  { id: "205", postId: "102", authorId: "2", body: "Nice deep dive into nested resolvers.",           createdAt: "2024-06-12T14:00:00Z" },
+  { id: "206", postId: "103", authorId: "1", body: "Point number 3 is so important.",                 createdAt: "2024-06-16T10:00:00Z" },
+  { id: "207", postId: "103", authorId: "4", body: "I would also add error handling best practices.",createdAt: "2024-06-17T12:00:00Z" },
+  { id: "208", postId: "104", authorId: "1", body: "GraphQL wins for complex client requirements.",  createdAt: "2024-07-02T09:00:00Z" },
+  { id: "209", postId: "104", authorId: "5", body: "REST is still great for simple use cases.",      createdAt: "2024-07-03T15:00:00Z" },
+  { id: "210", postId: "106", authorId: "2", body: "Normalization is key!",                          createdAt: "2024-08-06T08:00:00Z" },
+  { id: "211", postId: "106", authorId: "3", body: "What about NoSQL approaches?",                   createdAt: "2024-08-07T10:00:00Z" },
+  { id: "212", postId: "107", authorId: "3", body: "JWT tokens are my go-to for auth.",              createdAt: "2024-08-19T11:00:00Z" },
+  { id: "213", postId: "107", authorId: "5", body: "OAuth2 is also worth exploring.",                createdAt: "2024-08-20T13:00:00Z" },
+  { id: "214", postId: "108", authorId: "1", body: "Subscriptions changed everything for us.",      createdAt: "2024-09-03T09:00:00Z" },
+  { id: "215", postId: "108", authorId: "4", body: "We use WebSockets under the hood.",              createdAt: "2024-09-04T10:00:00Z" }
+];
+
+var profiles = [
+  { userId: "1", bio: "Full-stack developer and open source enthusiast.", avatar: "https://i.pravatar.cc/150?img=1", website: "https://alice.dev",   location: "San Francisco, CA" },
+  { userId: "2", bio: "Backend engineer. Coffee lover.",                  avatar: "https://i.pravatar.cc/150?img=2", website: "https://bob.io",      location: "Austin, TX"        },
+  { userId: "3", bio: "Passionate about clean code and good design.",     avatar: "https://i.pravatar.cc/150?img=3", website: null,                  location: "New York, NY"      },
+  { userId: "4", bio: "Security researcher and GraphQL evangelist.",      avatar: "https://i.pravatar.cc/150?img=4", website: "https://diana.tech", location: "Seattle, WA"       },
+  { userId: "5", bio: "Junior developer. Always learning.",               avatar: "https://i.pravatar.cc/150?img=5", website: null,                  location: "Chicago, IL"       }
+];
+
+// a reaction is on a post or on a comment; the other id is null
+var REACTION_KINDS = ["LIKE", "LOVE", "LAUGH", "WOW", "SAD"];
+
+var reactions = [
+  { id: "301", userId: "2", postId: "101", commentId: null,  kind: "LIKE",  createdAt: "2024-06-02T09:05:00Z" },
+  { id: "302", userId: "3", postId: "101", commentId: null,  kind: "LIKE",  createdAt: "2024-06-03T10:35:00Z" },
+  { id: "303", userId: "3", postId: "101", commentId: null,  kind: "LOVE",  createdAt: "2024-06-03T10:36:00Z" },
+  { id: "304", userId: "4", postId: "101", commentId: null,  kind: "LIKE",  createdAt: "2024-06-04T11:05:00Z" },
+  { id: "305", userId: "5", postId: "102", commentId: null,  kind: "LIKE",  createdAt: "2024-06-11T08:05:00Z" },
+  { id: "306", userId: "1", postId: "104", commentId: null,  kind: "WOW",   createdAt: "2024-07-02T09:05:00Z" },
+  { id: "307", userId: "5", postId: "104", commentId: null,  kind: "LAUGH", createdAt: "2024-07-03T15:05:00Z" },
+  { id: "308", userId: "2", postId: "107", commentId: null,  kind: "LOVE",  createdAt: "2024-08-19T09:00:00Z" },
+  { id: "309", userId: "3", postId: "107", commentId: null,  kind: "LIKE",  createdAt: "2024-08-19T11:05:00Z" },
+  { id: "310", userId: "1", postId: null,  commentId: "201", kind: "LOVE",  createdAt: "2024-06-02T12:00:00Z" },
+  { id: "311", userId: "1", postId: null,  commentId: "203", kind: "LIKE",  createdAt: "2024-06-04T12:00:00Z" },
+  { id: "312", userId: "2", postId: null,  commentId: "214", kind: "LIKE",  createdAt: "2024-09-03T12:00:00Z" }
+];
+
+// one row per updatePost / revertPost, oldest first:
+//   { id, postId, editorId, createdAt, changes: [{ field, from, to }], reverts }
+// reverts is the id of the revision a revert went back before, else null
+var revisions = [];
+
+// ---- ID counters — set from the highest id in each table when storage opens ----
+var idCounter = { user: 0, post: 0, comment: 0, reaction: 0, revision: 0 };
+
+function nextId(entity) {
+  idCounter[entity] = idCounter[entity] + 1;
+  return String(idCounter[entity]);
+}
+
+function maxNumericId(rows) {
+  return rows.reduce(function(max, row) {
+    var n = Number(row.id);
+    return !isNaN(n) && n > max ? n : max;
+  }, 0);
+}
+
+function resetIdCounters() {
+  idCounter = {
+    user:     maxNumericId(users),
+    post:     maxNumericId(posts),
+    comment:  maxNumericId(comments),
+    reaction: maxNumericId(reactions),
+    revision: maxNumericId(revisions)
+  };
+}
+
+// ---- data version — bumped by every write so loader caches know they are stale ----
+var dataVersion = 0;
+
+function markDataChanged() {
+  dataVersion++;
+}
+
+// --------------------------------------------------------
+// Storage
+//   The arrays above are the tables. Every write is a list of
+//   row operations handed to commit(ops):
+//     { op: "insert", table, row }
+//     { op: "update", table, id, set }
+//     { op: "delete", table, id }
+//   In "memory" mode commit only applies them. In "file" mode it
+//   first appends them to DATA_DIR/journal.log as one JSON line
+//   { seq, ops } and fsyncs it, so a mutation is either wholly on
+//   disk or not at all. Every SNAPSHOT_EVERY commits the tables
+//   are written to snapshot.json (through a temp file and a
+//   rename) and the journal starts over. openStorage() loads the
+//   snapshot and replays the journal after it; a torn last line
+//   left by a crash is cut off, and the boot banner says so. A
+//   line that does not parse anywhere before that stops the boot.
+// --------------------------------------------------------
+var tables = {
+  users: users, posts: posts, comments: comments, profiles: profiles, reactions: reactions, revisions: revisions
+};
+
+// primary key column of each table
+var TABLE_KEYS = { users: "id", posts: "id", comments: "id", profiles: "userId", reactions: "id", revisions: "id" };
+
+var storage = { mode: "memory", dir: null, journalFd: null, seq: 0, sinceSnapshot: 0, tornBytes: 0 };
+
+function findRowIndex(table, id) {
+  var key = TABLE_KEYS[table];
+  return tables[table].findIndex(function(row) { return row[key] === id; });
+}
+
+function applyOp(op) {
+  var rows = tables[op.table];
+  var idx  = op.op === "insert" ? -1 : findRowIndex(op.table, op.id);
+  if (op.op === "insert") {
+    rows.push(op.row);
+  } else if (op.op === "update" && idx !== -1) {
+    Object.keys(op.set).forEach(function(col) { rows[idx][col] = op.set[col]; });
+  } else if (op.op === "delete" && idx !== -1) {
+    rows.splice(idx, 1);
+  }
+
+  // keep the full-text index in step
+  var kind = searchKindOf(op.table);
+  if (kind && op.op === "insert") reindexRow(kind, op.row.id, op.row);
+  else if (kind && idx !== -1)    reindexRow(kind, op.id, op.op === "update" ? rows[idx] : null);
+}
+
+function commit(ops) {
+  if (storage.mode === "file") {
+    fs.writeSync(storage.journalFd, JSON.stringify({ seq: storage.seq + 1, ops: ops }) + "\n");
+    fs.fsyncSync(storage.journalFd);
+    storage.seq++;
+    storage.sinceSnapshot++;
+  }
+  ops.forEach(applyOp);
+  markDataChanged();
+  if (storage.mode === "file" && storage.sinceSnapshot >= SNAPSHOT_EVERY) {
+    writeSnapshot();
+  }
+}
+
+// --- replace a table's rows in place; the finders hold the array itself ---
+function replaceRows(rows, replacement) {
+  rows.length = 0;
+  replacement.forEach(function(row) { rows.push(row); });
+}
+
+function writeSnapshot() {
+  var file = path.join(storage.dir, "snapshot.json");
+  var tmp  = file + ".tmp";
+  var fd   = fs.openSync(tmp, "w");
+  fs.writeSync(fd, JSON.stringify({ seq: storage.seq, tables: tables }));
+  fs.fsyncSync(fd);
+  fs.closeSync(fd);
+  fs.renameSync(tmp, file);
+  // every entry is now in the snapshot; replay skips any with seq <= its seq
+  fs.ftruncateSync(storage.journalFd, 0);
+  storage.sinceSnapshot = 0;
+}
+
+// --- apply the journal entries newer than the snapshot ---
+//   Every entry is written with its newline in one call, so only
+//   text after the last newline can be a write cut short; it is
+//   truncated away and its length in bytes returned.
+function replayJournal(file) {
+  if (!fs.existsSync(file)) return 0;
+  var text   = fs.readFileSync(file, "utf8");
+  var offset = 0;
+  var line   = 1;
+  for (;;) {
+    var end = text.indexOf("\n", offset);
+    if (end === -1) break;
+    var entry;
+    try {
+      entry = JSON.parse(text.slice(offset, end));
+    } catch (err) {
+      throw new Error("Journal " + file + " is corrupt at line " + line + ": " + err.message);
+    }
+    if (entry.seq > storage.seq) {
+      entry.ops.forEach(applyOp);
+      storage.seq = entry.seq;
+      storage.sinceSnapshot++;
+    }
+    offset = end + 1;
+    line++;
+  }
+  var torn = Buffer.byteLength(text.slice(offset));
+  if (torn) fs.truncateSync(file, Buffer.byteLength(text) - torn);
+  return torn;
+}
+
+// --------------------------------------------------------
+// Open the storage before serving requests
+//   mode – "memory" or "file"
+//   dir  – data directory for "file" mode; created if missing
+// On first boot in "file" mode the seed data is written as the
+// first snapshot. Either way the id counters continue from the
+// highest ids in the tables.
+// --------------------------------------------------------
+function openStorage(mode, dir) {
+  if (mode !== "memory" && mode !== "file") {
+    throw new Error('Unknown storage mode "' + mode + '"; use "memory" or "file".');
+  }
+  storage.mode = mode;
+
+  if (mode === "file") {
+    fs.mkdirSync(dir, { recursive: true });
+    storage.dir = dir;
+
+    var snapshotFile = path.join(dir, "snapshot.json");
+    var journalFile  = path.join(dir, "journal.log");
+    var hasSnapshot  = fs.existsSync(snapshotFile);
+    if (hasSnapshot) {
+      var snapshot = JSON.parse(fs.readFileSync(snapshotFile, "utf8"));
+      Object.keys(tables).forEach(function(name) {
+        replaceRows(tables[name], snapshot.tables[name] || []);
+      });
+      storage.seq = snapshot.seq;
+    }
+    storage.tornBytes = replayJournal(journalFile);
+    storage.journalFd = fs.openSync(journalFile, "a");
+    if (!hasSnapshot) writeSnapshot();
+  }
+
+  resetIdCounters();
+  rebuildSearchIndex();
+  markDataChanged();
+}
+
+// --------------------------------------------------------
+// Events
+//   The mutation helpers publish to `pubsub` once a write has
+//   been committed; subscription resolvers listen to it.
+//     postCreated / postUpdated – the post row
+//     postDeleted               – the post row as it was
+//     commentAdded              – the comment row
+//   Listeners run on a later tick, never inside the write.
+// --------------------------------------------------------
+function PubSub() {
+  this.listeners = {};
+}
+
+// --- returns the function that removes the listener again ---
+PubSub.prototype.subscribe = function(topic, listener) {
+  var listeners = this.listeners[topic] = this.listeners[topic] || [];
+  listeners.push(listener);
+  return function unsubscribe() {
+    var idx = listeners.indexOf(listener);
+    if (idx !== -1) listeners.splice(idx, 1);
+  };
+};
+
+PubSub.prototype.publish = function(topic, payload) {
+  var listeners = (this.listeners[topic] || []).slice();
+  setImmediate(function() {
+    listeners.forEach(function(listener) { listener(payload); });
+  });
+};
+
+var pubsub = new PubSub();
+
+// --------------------------------------------------------
+// Finders
+// --------------------------------------------------------
+function findUser(id)              { return users.find(function(u){ return u.id === id; }) || null; }
+function findPost(id)              { return posts.find(function(p){ return p.id === id; }) || null; }
+function findComment(id)           { return comments.find(function(c){ return c.id === id; }) || null; }
+function findProfileByUser(userId){ return profiles.find(function(p){ return p.userId === userId; }) || null; }
+
+function findPostsByAuthor(authorId)  { return posts.filter(function(p){ return p.authorId === authorId; }); }
+function findCommentsByPost(postId)   { return comments.filter(function(c){ return c.postId === postId; }); }
+function findCommentsByAuthor(aid)    { return comments.filter(function(c){ return c.authorId === aid; }); }
+
+function findReactionsByPost(postId)       { return reactions.filter(function(r){ return r.postId === postId; }); }
+function findReactionsByComment(commentId) { return reactions.filter(function(r){ return r.commentId === commentId; }); }
+function findReactionsByUser(userId)       { return reactions.filter(function(r){ return r.userId === userId; }); }
+function findRevisionsByPost(postId)       { return revisions.filter(function(r){ return r.postId === postId; }); }
+function findRevisionsByEditor(editorId)   { return revisions.filter(function(r){ return r.editorId === editorId; }); }
+function findRevision(id)                  { return revisions.find(function(r){ return r.id === id; }) || null; }
+
+// --- the user's reaction of this kind on a post or comment, or null ---
+function findReaction(userId, target, kind) {
+  return reactions.find(function(r) {
+    return r.userId === userId && r.kind === kind &&
+           r.postId === (target.postId || null) && r.commentId === (target.commentId || null);
+  }) || null;
+}
+
+function findPostsByTag(tag) {
+  return posts.filter(function(p){ return p.tags.indexOf(tag) !== -1; });
+}
+
+// --- keyword in the title, body or any tag (case-insensitive) ---
+function postMatchesKeyword(p, keyword) {
+  var kw = keyword.toLowerCase();
+  return (
+    p.title.toLowerCase().indexOf(kw) !== -1 ||
+    p.body.toLowerCase().indexOf(kw) !== -1 ||
+    p.tags.some(function(t){ return t.toLowerCase().indexOf(kw) !== -1; })
+  );
+}
+
+// --- posts matching a search query, best first — see FULL-TEXT SEARCH ---
+function searchPosts(keyword) {
+  return searchDocuments(keyword, ["POST"]).map(function(hit) { return hit.row; });
+}
+
+function getAllUsers()    { return users; }
+function getAllPosts()    { return posts; }
+function getAllComments() { return comments; }
+
+// --------------------------------------------------------
+// Mutation helpers
+// --------------------------------------------------------
+function addUser(data) {
+  var user = {
+    id:        nextId("user"),
+    name:      data.name,
+    email:     data.email,
+    role:      data.role || "USER",
+    createdAt: new Date().toISOString()
+  };
+  // without a password the account exists but cannot log in
+  if (data.password) { user.passwordHash = hashPassword(data.password); }
+  commit([
+    { op: "insert", table: "users",    row: user },
+    { op: "insert", table: "profiles", row: blankProfile(user.id) }
+  ]);
+  return user;
+}
 
-var profiles = [
-  { userId: "1", bio: "Full-stack developer and open source enthusiast.", avatar: "https://i.pravatar.cc/150?img=1", website: "https://alice.dev",   location: "San Francisco, CA" },
-  { userId: "2", bio: "Backend engineer. Coffee lover.",                  avatar: "https://i.pravatar.cc/150?img=2", website: "https://bob.io",      location: "Austin, TX"        },
-  { userId: "3", bio: "Passionate about clean code and good design.",     avatar: "https://i.pravatar.cc/150?img=3", website: null,                  location: "New York, NY"      },
-  { userId: "4", bio: "Security researcher and GraphQL evangelist.",      avatar: "https://i.pravatar.cc/150?img=4", website: "https://diana.tech", location: "Seattle, WA"       },
-  { userId: "5", bio: "Junior developer. Always learning.",               avatar: "https://i.pravatar.cc/150?img=5", website: null,                  location: "Chicago, IL"       }
-];
+function blankProfile(userId) {
+  return { userId: userId, bio: "", avatar: null, website: null, location: null };
+}
+
+function addPost(data) {
+  var post = {
+    id:        nextId("post"),
+    title:     data.title,
+    body:      data.body,
+    authorId:  data.authorId,
+    tags:      data.tags || [],
+    createdAt: new Date().toISOString(),
+    published: data.published !== undefined ? data.published : false
+  };
+  commit([{ op: "insert", table: "posts", row: post }]);
+  pubsub.publish("postCreated", post);
+  return post;
+}
+
+function addComment(data) {
+  var comment = {
+    id:        nextId("comment"),
+    postId:    data.postId,
+    authorId:  data.authorId,
+    body:      data.body,
+    createdAt: new Date().toISOString()
+  };
+  commit([{ op: "insert", table: "comments", row: comment }]);
+  pubsub.publish("commentAdded", comment);
+  return comment;
+}
+
+// --- one reaction per user, kind and target: adding it twice returns the first ---
+function addReaction(data) {
+  var existing = findReaction(data.userId, data, data.kind);
+  if (existing) return existing;
+  var reaction = {
+    id:        nextId("reaction"),
+    userId:    data.userId,
+    postId:    data.postId || null,
+    commentId: data.commentId || null,
+    kind:      data.kind,
+    createdAt: new Date().toISOString()
+  };
+  commit([{ op: "insert", table: "reactions", row: reaction }]);
+  return reaction;
+}
+
+// --- false if the user had no such reaction ---
+function removeReaction(data) {
+  var reaction = findReaction(data.userId, data, data.kind);
+  if (!reaction) return false;
+  commit([{ op: "delete", table: "reactions", id: reaction.id }]);
+  return true;
+}
+
+// --- delete ops for reaction rows, each row once ---
+function reactionDeleteOps(rows) {
+  var seen = {};
+  return rows.filter(function(r) {
+    if (seen[r.id]) return false;
+    seen[r.id] = true;
+    return true;
+  }).map(function(r) {
+    return { op: "delete", table: "reactions", id: r.id };
+  });
+}
+
+function revisionDeleteOps(postId) {
+  return findRevisionsByPost(postId).map(function(r) {
+    return { op: "delete", table: "revisions", id: r.id };
+  });
+}
+
+// --- the columns of data that are set (not undefined) ---
+function pickDefined(data, columns) {
+  var set = {};
+  columns.forEach(function(col) {
+    if (data[col] !== undefined) set[col] = data[col];
+  });
+  return set;
+}
+
+// --------------------------------------------------------
+// Revisions
+//   Every updatePost and revertPost that changes something adds
+//   a revision, in the same commit, holding the old and new value
+//   of each field that changed. revertPost(id, revisionId) puts
+//   back the values the post had before that revision, undoing
+//   it and every later one — itself as a new revision.
+// --------------------------------------------------------
+var POST_REVISION_FIELDS = ["title", "body", "tags", "published"];
+
+// --- the revision row for setting `set` on post, or null if nothing would change ---
+function newRevision(post, set, editorId, reverts) {
+  var changes = Object.keys(set).filter(function(field) {
+    return JSON.stringify(post[field]) !== JSON.stringify(set[field]);
+  }).map(function(field) {
+    return { field: field, from: post[field], to: set[field] };
+  });
+  if (!changes.length) return null;
+  return {
+    id:        nextId("revision"),
+    postId:    post.id,
+    editorId:  editorId,
+    createdAt: new Date().toISOString(),
+    changes:   changes,
+    reverts:   reverts
+  };
+}
+
+// --- set `set` on the post and record the change as a revision ---
+function commitPostRevision(post, set, editorId, reverts) {
+  var revision = newRevision(post, set, editorId, reverts);
+  var ops = [{ op: "update", table: "posts", id: post.id, set: set }];
+  if (revision) ops.push({ op: "insert", table: "revisions", row: revision });
+  commit(ops);
+  pubsub.publish("postUpdated", post);
+  return post;
+}
+
+function updatePost(id, data, editorId) {
+  var post = findPost(id);
+  if (!post) return null;
+  return commitPostRevision(post, pickDefined(data, POST_REVISION_FIELDS), editorId, null);
+}
+
+// --- null for an unknown post, or a revision of another post ---
+function revertPost(id, revisionId, editorId) {
+  var post = findPost(id);
+  if (!post) return null;
+  var history = findRevisionsByPost(id);
+  var idx = history.findIndex(function(r) { return r.id === revisionId; });
+  if (idx === -1) return null;
+
+  // newest first, so the oldest change to a field sets it last
+  var set = {};
+  history.slice(idx).reverse().forEach(function(revision) {
+    revision.changes.forEach(function(change) { set[change.field] = change.from; });
+  });
+  return commitPostRevision(post, set, editorId, revisionId);
+}
+
+function updateUser(id, data) {
+  var user = findUser(id);
+  if (!user) return null;
+  var set = pickDefined(data, ["name", "email", "role"]);
+  if (data.password) set.passwordHash = hashPassword(data.password);
+  commit([{ op: "update", table: "users", id: id, set: set }]);
+  return user;
+}
+
+function updateComment(id, data) {
+  var comment = findComment(id);
+  if (!comment) return null;
+  commit([{ op: "update", table: "comments", id: id, set: pickDefined(data, ["body"]) }]);
+  return comment;
+}
+
+// --- a user whose profile was deleted gets a fresh one ---
+function updateProfile(userId, data) {
+  var set = pickDefined(data, ["bio", "avatar", "website", "location"]);
+  if (findProfileByUser(userId)) {
+    commit([{ op: "update", table: "profiles", id: userId, set: set }]);
+  } else {
+    var row = blankProfile(userId);
+    Object.keys(set).forEach(function(col) { row[col] = set[col]; });
+    commit([{ op: "insert", table: "profiles", row: row }]);
+  }
+  return findProfileByUser(userId);
+}
+
+// --- cascades: the post's comments, every reaction on either and its revisions go in the same commit ---
+function deletePost(id) {
+  var post = findPost(id);
+  if (!post) return false;
+  var postComments = findCommentsByPost(id);
+  var doomedReactions = findReactionsByPost(id);
+  postComments.forEach(function(c) {
+    doomedReactions = doomedReactions.concat(findReactionsByComment(c.id));
+  });
+  var ops = reactionDeleteOps(doomedReactions).concat(postComments.map(function(c) {
+    return { op: "delete", table: "comments", id: c.id };
+  }), revisionDeleteOps(id));
+  ops.push({ op: "delete", table: "posts", id: id });
+  commit(ops);
+  pubsub.publish("postDeleted", post);
+  return true;
+}
+
+function deleteComment(id) {
+  if (!findComment(id)) return false;
+  var ops = reactionDeleteOps(findReactionsByComment(id));
+  ops.push({ op: "delete", table: "comments", id: id });
+  commit(ops);
+  return true;
+}
+
+function deleteProfile(userId) {
+  if (!findProfileByUser(userId)) return false;
+  commit([{ op: "delete", table: "profiles", id: userId }]);
+  return true;
+}
+
+// --------------------------------------------------------
+// deleteUser(id, policy) — what becomes of the user's content:
+//   CASCADE  – their posts (with every comment on them and
+//              their revisions) and their comments are deleted
+//   REASSIGN – their posts, comments and revisions are handed
+//              to DELETED_USER, created on first use
+//   RESTRICT – the caller must first check that they have none;
+//              see userContentCounts
+// Under every policy the profile and the user's reactions go with
+// the user, and it all happens in one commit. Revisions they made
+// that are kept lose their editor (editorId null), except under
+// REASSIGN. Returns false for an
+// unknown id.
+// --------------------------------------------------------
+var USER_DELETE_POLICIES = ["CASCADE", "REASSIGN", "RESTRICT"];
+
+// stands in as the author of reassigned content; it has no password, so nobody can log in as it
+var DELETED_USER_ID = "0";
+
+function userContentCounts(id) {
+  return { posts: findPostsByAuthor(id).length, comments: findCommentsByAuthor(id).length };
+}
+
+function deleteUser(id, policy) {
+  if (!findUser(id)) return false;
+  var ownPosts    = findPostsByAuthor(id);
+  var ownComments = findCommentsByAuthor(id);
+  var doomedReactions = findReactionsByUser(id);
+  var ownEdits    = findRevisionsByEditor(id);
+  var ops         = [];
+
+  if (policy === "CASCADE") {
+    var doomed = {};
+    ownPosts.forEach(function(p) {
+      findCommentsByPost(p.id).forEach(function(c) { doomed[c.id] = true; });
+      doomedReactions = doomedReactions.concat(findReactionsByPost(p.id));
+    });
+    ownComments.forEach(function(c) { doomed[c.id] = true; });
+    Object.keys(doomed).forEach(function(commentId) {
+      doomedReactions = doomedReactions.concat(findReactionsByComment(commentId));
+      ops.push({ op: "delete", table: "comments", id: commentId });
+    });
+    ownPosts.forEach(function(p) {
+      ops = ops.concat(revisionDeleteOps(p.id));
+      ops.push({ op: "delete", table: "posts", id: p.id });
+    });
+  } else if (policy === "REASSIGN" && (ownPosts.length || ownComments.length || ownEdits.length)) {
+    if (!findUser(DELETED_USER_ID)) {
+      ops.push({ op: "insert", table: "users", row: {
+        id: DELETED_USER_ID, name: "Deleted user", email: null, role: "USER", createdAt: new Date().toISOString()
+      }});
+    }
+    ownPosts.forEach(function(p) {
+      ops.push({ op: "update", table: "posts", id: p.id, set: { authorId: DELETED_USER_ID } });
+    });
+    ownComments.forEach(function(c) {
+      ops.push({ op: "update", table: "comments", id: c.id, set: { authorId: DELETED_USER_ID } });
+    });
+    ownEdits.forEach(function(r) {
+      ops.push({ op: "update", table: "revisions", id: r.id, set: { editorId: DELETED_USER_ID } });
+    });
+  }
+  if (policy !== "REASSIGN") {
+    // under CASCADE the revisions of their own posts are already going
+    ownEdits.forEach(function(r) {
+      if (policy === "CASCADE" && ownPosts.some(function(p) { return p.id === r.postId; })) return;
+      ops.push({ op: "update", table: "revisions", id: r.id, set: { editorId: null } });
+    });
+  }
+
+  ops = reactionDeleteOps(doomedReactions).concat(ops);
+  if (findProfileByUser(id)) ops.push({ op: "delete", table: "profiles", id: id });
+  ops.push({ op: "delete", table: "users", id: id });
+  commit(ops);
+
+  ownPosts.forEach(function(p) {
+    pubsub.publish(policy === "CASCADE" ? "postDeleted" : "postUpdated", p);
+  });
+  return true;
+}
+
+// --------------------------------------------------------
+// Filters
+//   A filter input (PostFilter, CommentFilter, UserFilter) is
+//   compiled into a row predicate. Every condition given must
+//   hold; AND / OR / NOT combine nested filters of the same
+//   type. A condition that is null or absent is ignored.
+// --------------------------------------------------------
+
+// --- "2024-08-01" / ISO timestamp → ms; a bad date is the client's mistake ---
+function parseDateArgument(name, value) {
+  var time = Date.parse(value);
+  if (isNaN(time)) {
+    throw userInputError("Invalid date '" + value + "' for '" + name + "'.");
+  }
+  return time;
+}
+
+function containsText(text, kw) {
+  return text.toLowerCase().indexOf(kw) !== -1;
+}
+
+// conditions every filter type shares
+var createdAtConditions = {
+  createdAfter:  function(row, time) { return Date.parse(row.createdAt) > time; },
+  createdBefore: function(row, time) { return Date.parse(row.createdAt) < time; }
+};
+
+var postConditions = {
+  published:     function(post, value) { return post.published === value; },
+  authorIds:     function(post, ids)   { return ids.indexOf(post.authorId) !== -1; },
+  tagsAny:       function(post, tags)  { return tags.some(function(t) { return post.tags.indexOf(t) !== -1; }); },
+  tagsAll:       function(post, tags)  { return tags.every(function(t) { return post.tags.indexOf(t) !== -1; }); },
+  keyword:       function(post, kw)    { return postMatchesKeyword(post, kw); },
+  createdAfter:  createdAtConditions.createdAfter,
+  createdBefore: createdAtConditions.createdBefore
+};
+
+var commentConditions = {
+  postIds:       function(comment, ids) { return ids.indexOf(comment.postId) !== -1; },
+  authorIds:     function(comment, ids) { return ids.indexOf(comment.authorId) !== -1; },
+  keyword:       function(comment, kw)  { return containsText(comment.body, kw.toLowerCase()); },
+  createdAfter:  createdAtConditions.createdAfter,
+  createdBefore: createdAtConditions.createdBefore
+};
+
+var userConditions = {
+  ids:           function(user, ids)   { return ids.indexOf(user.id) !== -1; },
+  roles:         function(user, roles) { return roles.indexOf(user.role) !== -1; },
+  keyword:       function(user, kw)    { return containsText(user.name, kw.toLowerCase()); },
+  createdAfter:  createdAtConditions.createdAfter,
+  createdBefore: createdAtConditions.createdBefore
+};
+
+// --- filter object → function(row) → boolean ---
+function compileFilter(filter, conditions) {
+  var checks = [];
+
+  Object.keys(filter).forEach(function(key) {
+    var value = filter[key];
+    if (value === null || value === undefined) return;
+
+    if (key === "AND" || key === "OR") {
+      var nested = value.map(function(f) { return compileFilter(f, conditions); });
+      checks.push(key === "AND"
+        ? function(row) { return nested.every(function(test) { return test(row); }); }
+        : function(row) { return nested.some(function(test) { return test(row); }); });
+      return;
+    }
+    if (key === "NOT") {
+      var negated = compileFilter(value, conditions);
+      checks.push(function(row) { return !negated(row); });
+      return;
+    }
+
+    if (key === "createdAfter" || key === "createdBefore") {
+      value = parseDateArgument(key, value);
+    }
+    var condition = conditions[key];
+    checks.push(function(row) { return condition(row, value); });
+  });
+
+  return function(row) {
+    return checks.every(function(check) { return check(row); });
+  };
+}
+
+function filterRows(rows, filter, conditions) {
+  return filter ? rows.filter(compileFilter(filter, conditions)) : rows;
+}
+
+// --------------------------------------------------------
+// Pagination
+// --------------------------------------------------------
+function paginateArray(arr, limit, offset) {
+  var start = offset || 0;
+  var end   = start + (limit || arr.length);
+  return {
+    items:      arr.slice(start, end),
+    totalCount: arr.length,
+    hasMore:    end < arr.length
+  };
+}
+
+// ============================================================
+// FULL-TEXT SEARCH
+// One inverted index over posts and comments, kept current by
+// applyOp so every commit (and journal replay) updates it.
+// Fields are weighted title 3, tags 2, body 1; comments only
+// have a body. Sharing one index keeps the scores of posts and
+// comments comparable.
+// Text is split into lowercase words and each word is reduced
+// to a stem, so "resolvers" finds "resolver" and "api" no longer
+// matches inside "rapid". A query is a list of clauses, all of
+// which must match:
+//   graphql        a word (stemmed like the text)
+//   "error handling" a phrase — its words next to each other
+//   resolv*        a prefix of any indexed word; the prefix is
+//                  also tried stemmed, so "resolvers*" finds the
+//                  stem "resolver"
+// Documents are ranked with BM25F: each clause scores its
+// inverse document frequency times a saturating count of its
+// matches, summed over fields by weight and normalised for
+// field length.
+// ============================================================
+var BM25_K1 = 1.2;
+var BM25_B  = 0.75;
+
+// words of context around the first match in a snippet
+var SNIPPET_WORDS = 16;
+
+// --- light suffix stripping (after Porter's first steps): plurals, -ed, -ing, final e ---
+function stemWord(word) {
+  if (word.length <= 2 || /\d/.test(word)) return word;
+  if (/ies$/.test(word) && word.length > 4) word = word.slice(0, -3) + "y";
+  else if (/sses$/.test(word))              word = word.slice(0, -2);
+  else if (/[^su]s$/.test(word))            word = word.slice(0, -1);
+
+  var m = /^(.*?)(ing|ed)$/.exec(word);
+  if (m && m[1].length >= 2 && /[aeiouy]/.test(m[1])) {
+    word = m[1];
+    if (/([^aeiouylsz])\1$/.test(word)) word = word.slice(0, -1); // running → run
+  }
+  if (word.length >= 3 && /e$/.test(word)) word = word.slice(0, -1);
+  return word;
+}
 
-// ---- ID counters ----
-var idCounter = { user: 100, post: 200, comment: 300 };
+// --- text → [{ word, term, start, end }]; term is the stem, start / end offsets into text ---
+function searchTokens(text) {
+  var tokens = [];
+  var re = /[\p{L}\p{N}]+/gu;
+  var m;
+  while ((m = re.exec(text)) !== null) {
+    var word = m[0].toLowerCase();
+    tokens.push({ word: word, term: stemWord(word), start: m.index, end: m.index + m[0].length });
+  }
+  return tokens;
+}
+
+// --------------------------------------------------------
+// parseSearchQuery(text)
+// Returns [{ kind: "term" | "phrase" | "prefix", terms }], where
+// a prefix's terms are the lowercase start of a word as typed and,
+// if it differs, its stem; an indexed term starting with either
+// matches. An unclosed quote runs to the end of the query.
+// --------------------------------------------------------
+function parseSearchQuery(text) {
+  var clauses = [];
+  var re = /"([^"]*)"?|(\S+)/g;
+  var m;
+  while ((m = re.exec(text)) !== null) {
+    if (m[1] !== undefined) {
+      var terms = searchTokens(m[1]).map(function(t) { return t.term; });
+      if (terms.length > 1)        clauses.push({ kind: "phrase", terms: terms });
+      else if (terms.length === 1) clauses.push({ kind: "term", terms: terms });
+      continue;
+    }
+    var tokens   = searchTokens(m[2]);
+    var isPrefix = /\*$/.test(m[2]) && tokens.length > 0;
+    tokens.forEach(function(t, i) {
+      if (isPrefix && i === tokens.length - 1) clauses.push({ kind: "prefix", terms: t.term === t.word ? [t.word] : [t.word, t.term] });
+      else                                     clauses.push({ kind: "term",   terms: [t.term] });
+    });
+  }
+  return clauses;
+}
+
+// --------------------------------------------------------
+// SearchIndex
+//   weights – { field: weight }
+// Documents are added as { field: text or [texts] }; the texts
+// of a list (tags) are kept apart so a phrase cannot span two.
+// --------------------------------------------------------
+var LIST_ITEM_GAP = 100;
+
+function SearchIndex(weights) {
+  this.weights = weights;
+  this.clear();
+}
+
+SearchIndex.prototype.clear = function() {
+  this.docs     = Object.create(null); // id → { field → { length, positions: term → [pos] } }
+  this.postings = Object.create(null); // term → { id → true }
+  this.lengths  = {};                  // field → { tokens, docs } over the documents having it
+  this.size     = 0;
+  var self = this;
+  Object.keys(this.weights).forEach(function(field) { self.lengths[field] = { tokens: 0, docs: 0 }; });
+};
+
+SearchIndex.prototype.add = function(id, values) {
+  var self = this;
+  var doc  = {};
+
+  Object.keys(this.weights).forEach(function(field) {
+    if (values[field] === undefined) return;
+    var texts     = [].concat(values[field] || []);
+    var positions = Object.create(null);
+    var length    = 0;
+    texts.forEach(function(text, i) {
+      searchTokens(text).forEach(function(token, pos) {
+        (positions[token.term] = positions[token.term] || []).push(i * LIST_ITEM_GAP + pos);
+        length++;
+      });
+    });
+    doc[field] = { length: length, positions: positions };
+    self.lengths[field].tokens += length;
+    self.lengths[field].docs++;
+    Object.keys(positions).forEach(function(term) {
+      (self.postings[term] = self.postings[term] || Object.create(null))[id] = true;
+    });
+  });
+
+  this.docs[id] = doc;
+  this.size++;
+};
+
+SearchIndex.prototype.remove = function(id) {
+  var self = this;
+  var doc  = this.docs[id];
+  if (!doc) return;
+  Object.keys(doc).forEach(function(field) {
+    self.lengths[field].tokens -= doc[field].length;
+    self.lengths[field].docs--;
+    Object.keys(doc[field].positions).forEach(function(term) {
+      var ids = self.postings[term];
+      if (!ids) return; // already dropped via another field
+      delete ids[id];
+      if (Object.keys(ids).length === 0) delete self.postings[term];
+    });
+  });
+  delete this.docs[id];
+  this.size--;
+};
+
+// --- Okapi inverse document frequency of a term found in n documents ---
+SearchIndex.prototype.idf = function(n) {
+  return Math.log(1 + (this.size - n + 0.5) / (n + 0.5));
+};
+
+// --- does an indexed term start with one of a prefix clause's terms? ---
+function matchesPrefix(clause, term) {
+  return clause.terms.some(function(prefix) { return term.indexOf(prefix) === 0; });
+}
+
+// --- how often a clause matches in one field of a document ---
+function clauseFrequency(clause, fieldDoc, expansions) {
+  var positions = fieldDoc.positions;
+  if (clause.kind === "term") {
+    return (positions[clause.terms[0]] || []).length;
+  }
+  if (clause.kind === "prefix") {
+    return expansions.reduce(function(sum, term) { return sum + (positions[term] || []).length; }, 0);
+  }
+  // phrase: each position of its first word followed by the rest, in order
+  var first = positions[clause.terms[0]] || [];
+  return first.filter(function(pos) {
+    return clause.terms.every(function(term, i) {
+      return (positions[term] || []).indexOf(pos + i) !== -1;
+    });
+  }).length;
+}
+
+// --------------------------------------------------------
+// SearchIndex.search(clauses, accept)
+//   accept – id → whether the document may be returned
+// Returns [{ id, score }] of the accepted documents matching
+// every clause, best first.
+// --------------------------------------------------------
+SearchIndex.prototype.search = function(clauses, accept) {
+  var self = this;
+  if (!clauses.length) return [];
+
+  // the indexed terms behind each clause, and the documents holding all of them
+  var plans = clauses.map(function(clause) {
+    var terms = clause.kind === "prefix"
+      ? Object.keys(self.postings).filter(function(term) { return matchesPrefix(clause, term); })
+      : clause.terms;
+    var docSets = terms.map(function(term) { return self.postings[term] || Object.create(null); });
+    var ids = clause.kind === "prefix"
+      ? Object.keys(docSets.reduce(function(union, set) {
+          Object.keys(set).forEach(function(id) { union[id] = true; });
+          return union;
+        }, {}))
+      : Object.keys(docSets[0]).filter(function(id) {
+          return docSets.every(function(set) { return set[id]; });
+        });
+    var idf = clause.kind === "prefix"
+      ? self.idf(ids.length)
+      : terms.reduce(function(sum, term, i) { return sum + self.idf(Object.keys(docSets[i]).length); }, 0);
+    return { clause: clause, terms: terms, ids: ids, idf: idf };
+  });
+
+  var candidates = plans.reduce(function(ids, plan) {
+    return ids.filter(function(id) { return plan.ids.indexOf(id) !== -1; });
+  }, plans[0].ids.filter(accept));
+
+  var hits = [];
+  candidates.forEach(function(id) {
+    var doc   = self.docs[id];
+    var score = 0;
+    var all   = plans.every(function(plan) {
+      var tf = 0;
+      Object.keys(doc).forEach(function(field) {
+        var freq = clauseFrequency(plan.clause, doc[field], plan.terms);
+        if (!freq) return;
+        var avgLength = self.lengths[field].tokens / self.lengths[field].docs || 1;
+        tf += self.weights[field] * freq / (1 - BM25_B + BM25_B * doc[field].length / avgLength);
+      });
+      score += plan.idf * tf * (BM25_K1 + 1) / (BM25_K1 + tf);
+      return tf > 0;
+    });
+    if (all) hits.push({ id: id, score: score });
+  });
+
+  return hits.sort(function(a, b) { return b.score - a.score; });
+};
+
+// --------------------------------------------------------
+// What is searched: each kind's table, its indexed fields, and
+// the fields a snippet is cut from, in order of preference.
+// Documents are keyed "POST:101", "COMMENT:201".
+// --------------------------------------------------------
+var SEARCH_TARGETS = {
+  POST: {
+    table:         "posts",
+    find:          findPost,
+    fieldsOf:      function(post) { return { title: post.title, tags: post.tags, body: post.body }; },
+    snippetFields: ["body", "title"]
+  },
+  COMMENT: {
+    table:         "comments",
+    find:          findComment,
+    fieldsOf:      function(comment) { return { body: comment.body }; },
+    snippetFields: ["body"]
+  }
+};
+
+var searchIndex = new SearchIndex({ title: 3, tags: 2, body: 1 });
+
+// --- the SEARCH_TARGETS kind indexing a table, or null ---
+function searchKindOf(table) {
+  return Object.keys(SEARCH_TARGETS).filter(function(kind) { return SEARCH_TARGETS[kind].table === table; })[0] || null;
+}
+
+// --- called by applyOp for every row it inserts, updates or deletes ---
+function reindexRow(kind, id, row) {
+  searchIndex.remove(kind + ":" + id);
+  if (row) searchIndex.add(kind + ":" + id, SEARCH_TARGETS[kind].fieldsOf(row));
+}
+
+// --- after the tables have been replaced wholesale (storage opened) ---
+function rebuildSearchIndex() {
+  searchIndex.clear();
+  Object.keys(SEARCH_TARGETS).forEach(function(kind) {
+    tables[SEARCH_TARGETS[kind].table].forEach(function(row) { reindexRow(kind, row.id, row); });
+  });
+}
 
-function nextId(entity) {
-  idCounter[entity] = idCounter[entity] + 1;
-  return String(idCounter[entity]);
+function escapeHTML(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
 }
 
 // --------------------------------------------------------
-// Finders
+// searchSnippet(text, clauses, always)
+// Up to SNIPPET_WORDS words of text around its first match,
+// HTML-escaped, with every matching word in <mark>…</mark> — for
+// a phrase, only its words where they appear together;
+// "…" marks text cut off at either end. If nothing in the text
+// matches: its opening words when `always`, otherwise null.
 // --------------------------------------------------------
-function findUser(id)              { return users.find(function(u){ return u.id === id; }) || null; }
-function findPost(id)              { return posts.find(function(p){ return p.id === id; }) || null; }
-function findComment(id)           { return comments.find(function(c){ return c.id === id; }) || null; }
-function findProfileByUser(userId){ return profiles.find(function(p){ return p.userId === userId; }) || null; }
-
-function findPostsByAuthor(authorId)  { return posts.filter(function(p){ return p.authorId === authorId; }); }
-function findCommentsByPost(postId)   { return comments.filter(function(c){ return c.postId === postId; }); }
-function findCommentsByAuthor(aid)    { return comments.filter(function(c){ return c.authorId === aid; }); }
+function searchSnippet(text, clauses, always) {
+  var tokens  = searchTokens(text);
+  var matches = tokens.map(function() { return false; });
+  clauses.forEach(function(clause) {
+    tokens.forEach(function(token, i) {
+      if (clause.kind === "prefix") {
+        if (matchesPrefix(clause, token.term)) matches[i] = true;
+      } else if (clause.kind === "term") {
+        if (token.term === clause.terms[0]) matches[i] = true;
+      } else if (clause.terms.every(function(term, j) { return tokens[i + j] && tokens[i + j].term === term; })) {
+        clause.terms.forEach(function(term, j) { matches[i + j] = true; });
+      }
+    });
+  });
+  var first = matches.indexOf(true);
+  if (first === -1) {
+    if (!always) return null;
+    first = 0;
+  }
 
-function findPostsByTag(tag) {
-  return posts.filter(function(p){ return p.tags.indexOf(tag) !== -1; });
+  var from = Math.max(0, Math.min(first - 3, tokens.length - SNIPPET_WORDS));
+  var to   = Math.min(tokens.length, from + SNIPPET_WORDS) - 1;
+  var out  = from > 0 ? "…" : "";
+  var at   = from > 0 ? tokens[from].start : 0;
+  for (var i = from; i <= to; i++) {
+    out += escapeHTML(text.slice(at, tokens[i].start));
+    var word = escapeHTML(text.slice(tokens[i].start, tokens[i].end));
+    out += matches[i] ? "<mark>" + word + "</mark>" : word;
+    at = tokens[i].end;
+  }
+  return to < tokens.length - 1 ? out + "…" : out + escapeHTML(text.slice(at));
 }
 
-function searchPosts(keyword) {
-  var kw = keyword.toLowerCase();
-  return posts.filter(function(p) {
-    return (
-      p.title.toLowerCase().indexOf(kw) !== -1 ||
-      p.body.toLowerCase().indexOf(kw) !== -1 ||
-      p.tags.some(function(t){ return t.toLowerCase().indexOf(kw) !== -1; })
-    );
+// --------------------------------------------------------
+// searchDocuments(query, kinds)
+//   kinds – any of the SEARCH_TARGETS keys
+// Returns every hit, best first: [{ kind, row, score, snippet() }].
+// Drafts are not filtered here; the resolvers do that.
+// --------------------------------------------------------
+function searchDocuments(query, kinds) {
+  var clauses = parseSearchQuery(query);
+  if (!clauses.length) {
+    throw userInputError("The search query has no words to search for.");
+  }
+
+  var accept = function(key) { return kinds.indexOf(key.split(":")[0]) !== -1; };
+  return searchIndex.search(clauses, accept).map(function(hit) {
+    var kind   = hit.id.split(":")[0];
+    var target = SEARCH_TARGETS[kind];
+    var row    = target.find(hit.id.slice(kind.length + 1));
+    return {
+      kind:  kind,
+      row:   row,
+      score: hit.score,
+      snippet: function() {
+        var fields = target.snippetFields;
+        var found  = fields.filter(function(field) { return searchSnippet(row[field], clauses) !== null; })[0];
+        return searchSnippet(row[found || fields[0]], clauses, true);
+      }
+    };
   });
 }
 
-function getAllUsers()    { return users; }
-function getAllPosts()    { return posts; }
-function getAllComments() { return comments; }
+// ============================================================
+// LOADERS
+// Per-request batching and caching in front of the finders.
+// Every load() made while a tick of resolvers runs is collected
+// and answered by one batch function call — one pass over the
+// table instead of one scan per key. Results are memoized per
+// request, and dropped whenever the data changes.
+// ============================================================
 
 // --------------------------------------------------------
-// Mutation helpers
+// Loader
+//   name    – label used in the request stats
+//   batchFn – function(keys) → array of results, same order
 // --------------------------------------------------------
-function addUser(data) {
-  var user = {
-    id:        nextId("user"),
-    name:      data.name,
-    email:     data.email,
-    role:      data.role || "USER",
-    createdAt: new Date().toISOString()
-  };
-  users.push(user);
-  profiles.push({ userId: user.id, bio: "", avatar: null, website: null, location: null });
-  return user;
+function Loader(name, batchFn) {
+  this.name    = name;
+  this.batchFn = batchFn;
+  this.cache   = {};
+  this.version = dataVersion;
+  this.queue   = [];
+  this.stats   = { loads: 0, cacheHits: 0, batches: 0, keys: 0 };
 }
 
-function addPost(data) {
-  var post = {
-    id:        nextId("post"),
-    title:     data.title,
-    body:      data.body,
-    authorId:  data.authorId,
-    tags:      data.tags || [],
-    createdAt: new Date().toISOString(),
-    published: data.published !== undefined ? data.published : false
-  };
-  posts.push(post);
-  return post;
-}
+Loader.prototype.load = function(key) {
+  var self = this;
+  this.stats.loads++;
 
-function addComment(data) {
-  var comment = {
-    id:        nextId("comment"),
-    postId:    data.postId,
-    authorId:  data.authorId,
-    body:      data.body,
-    createdAt: new Date().toISOString()
-  };
-  comments.push(comment);
-  return comment;
-}
+  // a write since the last load makes every cached answer suspect
+  if (this.version !== dataVersion) {
+    this.cache   = {};
+    this.version = dataVersion;
+  }
 
-function updatePost(id, data) {
-  var post = findPost(id);
-  if (!post) return null;
-  if (data.title     !== undefined) post.title     = data.title;
-  if (data.body      !== undefined) post.body      = data.body;
-  if (data.tags      !== undefined) post.tags      = data.tags;
-  if (data.published !== undefined) post.published = data.published;
-  return post;
-}
+  if (Object.prototype.hasOwnProperty.call(this.cache, key)) {
+    this.stats.cacheHits++;
+    return this.cache[key];
+  }
 
-function updateProfile(userId, data) {
-  var profile = findProfileByUser(userId);
-  if (!profile) return null;
-  if (data.bio      !== undefined) profile.bio      = data.bio;
-  if (data.avatar   !== undefined) profile.avatar   = data.avatar;
-  if (data.website  !== undefined) profile.website  = data.website;
-  if (data.location !== undefined) profile.location = data.location;
-  return profile;
-}
+  var promise = new Promise(function(resolve, reject) {
+    self.queue.push({ key: key, resolve: resolve, reject: reject });
+    // the first key of a tick schedules the batch; the rest join it
+    if (self.queue.length === 1) {
+      // wait for pending promise callbacks to enqueue their keys too
+      Promise.resolve().then(function() {
+        process.nextTick(function() { self.dispatch(); });
+      });
+    }
+  });
+  this.cache[key] = promise;
+  return promise;
+};
 
-function deletePost(id) {
-  var idx = posts.findIndex(function(p){ return p.id === id; });
-  if (idx === -1) return false;
-  posts.splice(idx, 1);
-  comments = comments.filter(function(c){ return c.postId !== id; });
-  return true;
+Loader.prototype.loadMany = function(keys) {
+  var self = this;
+  return Promise.all(keys.map(function(key) { return self.load(key); }));
+};
+
+Loader.prototype.dispatch = function() {
+  var queue = this.queue;
+  this.queue = [];
+  this.stats.batches++;
+  this.stats.keys += queue.length;
+
+  var results;
+  try {
+    results = this.batchFn(queue.map(function(item) { return item.key; }));
+  } catch (err) {
+    queue.forEach(function(item) { item.reject(err); });
+    return;
+  }
+  queue.forEach(function(item, i) { item.resolve(results[i]); });
+};
+
+// --------------------------------------------------------
+// Batch helpers — one pass over a table per batch
+// --------------------------------------------------------
+
+// --- one row per key (or null), matched on a unique field ---
+function batchOne(rows, field, keys) {
+  var index = {};
+  rows.forEach(function(row) { index[row[field]] = row; });
+  return keys.map(function(key) { return index[key] || null; });
 }
 
-function deleteComment(id) {
-  var idx = comments.findIndex(function(c){ return c.id === id; });
-  if (idx === -1) return false;
-  comments.splice(idx, 1);
-  return true;
+// --- every row per key (possibly []), grouped on a field ---
+function batchMany(rows, field, keys) {
+  var groups = {};
+  keys.forEach(function(key) { groups[key] = []; });
+  rows.forEach(function(row) {
+    if (groups[row[field]]) groups[row[field]].push(row);
+  });
+  return keys.map(function(key) { return groups[key]; });
 }
 
 // --------------------------------------------------------
-// Pagination
+// createLoaders — a fresh set for every request
 // --------------------------------------------------------
-function paginateArray(arr, limit, offset) {
-  var start = offset || 0;
-  var end   = start + (limit || arr.length);
+function createLoaders() {
   return {
-    items:      arr.slice(start, end),
-    totalCount: arr.length,
-    hasMore:    end < arr.length
+    user:               new Loader("user",               function(ids)  { return batchOne(users, "id", ids); }),
+    post:               new Loader("post",               function(ids)  { return batchOne(posts, "id", ids); }),
+    comment:            new Loader("comment",            function(ids)  { return batchOne(comments, "id", ids); }),
+    profileByUser:      new Loader("profileByUser",      function(ids)  { return batchOne(profiles, "userId", ids); }),
+    postsByAuthor:      new Loader("postsByAuthor",      function(ids)  { return batchMany(posts, "authorId", ids); }),
+    commentsByPost:     new Loader("commentsByPost",     function(ids)  { return batchMany(comments, "postId", ids); }),
+    commentsByAuthor:   new Loader("commentsByAuthor",   function(ids)  { return batchMany(comments, "authorId", ids); }),
+    reactionsByPost:    new Loader("reactionsByPost",    function(ids)  { return batchMany(reactions, "postId", ids); }),
+    reactionsByComment: new Loader("reactionsByComment", function(ids)  { return batchMany(reactions, "commentId", ids); }),
+    revisionsByPost:    new Loader("revisionsByPost",    function(ids)  { return batchMany(revisions, "postId", ids); }),
+    postsByTag:         new Loader("postsByTag",         function(tags) {
+      var groups = {};
+      tags.forEach(function(tag) { groups[tag] = []; });
+      posts.forEach(function(p) {
+        p.tags.forEach(function(tag) {
+          if (groups[tag]) groups[tag].push(p);
+        });
+      });
+      return tags.map(function(tag) { return groups[tag]; });
+    })
   };
 }
 
+// --- { loaderName: { loads, cacheHits, batches, keys } } for loaders that ran ---
+function loaderStats(loaders) {
+  var stats = {};
+  Object.keys(loaders).forEach(function(name) {
+    if (loaders[name].stats.loads > 0) stats[name] = loaders[name].stats;
+  });
+  return stats;
+}
+
 // ============================================================
 // RESOLVERS (inlined from resolvers.js)
-// Sort helper, four wrapper functions, root resolver object.
+// Sort keys, cursor connections, the wrapper functions, root
+// resolver objects.
 // All db.X() calls are now just X() — same scope.
 // ============================================================
 
 // --------------------------------------------------------
-// HELPER: sort an array of posts
+// Sort keys
+//   Every list that is sorted or paged is ordered by a key
+//   [value, id]. The id breaks ties, so the order is total and
+//   a key pins one exact position in it.
 // --------------------------------------------------------
-function sortPosts(postsArray, sortField, sortOrder) {
-  if (!sortField) return postsArray;
 
-  var sorted = postsArray.slice(); // copy — never mutate source
+// --- numeric ids compare as numbers ("99" < "101"), others as strings ---
+function compareIds(a, b) {
+  var numA = Number(a);
+  var numB = Number(b);
+  if (!isNaN(numA) && !isNaN(numB)) {
+    return numA < numB ? -1 : numA > numB ? 1 : 0;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
 
-  sorted.sort(function(a, b) {
-    var valA, valB;
+function compareSortKeys(a, b, sortOrder) {
+  var dir = sortOrder === "DESC" ? -1 : 1;
+  if (a[0] < b[0]) return -dir;
+  if (a[0] > b[0]) return  dir;
+  return dir * compareIds(a[1], b[1]);
+}
 
-    switch (sortField) {
-      case "TITLE":
-        valA = a.title.toLowerCase();
-        valB = b.title.toLowerCase();
-        break;
-      case "COMMENT_COUNT":
-        valA = findCommentsByPost(a.id).length;
-        valB = findCommentsByPost(b.id).length;
-        break;
-      case "CREATED_AT":
-      default:
-        valA = new Date(a.createdAt).getTime();
-        valB = new Date(b.createdAt).getTime();
-        break;
+// --- sorted copy — never mutate source ---
+function sortByKey(rows, keyOf, sortOrder) {
+  return rows.slice().sort(function(a, b) {
+    return compareSortKeys(keyOf(a), keyOf(b), sortOrder);
+  });
+}
+
+// --------------------------------------------------------
+// HELPER: sort key of a post for a PostSortField
+//   loaders – the request's loaders; COMMENT_COUNT and
+//             REACTION_COUNT look every post's comments or
+//             reactions up in one batch first
+// Returns a Promise of keyOf(post). With no sort field the key
+// is the id alone, i.e. creation order.
+// --------------------------------------------------------
+var COUNTED_SORT_FIELDS = { COMMENT_COUNT: "commentsByPost", REACTION_COUNT: "reactionsByPost" };
+
+function postSortKeys(postsArray, sortField, loaders) {
+  var counts = Promise.resolve({});
+  if (COUNTED_SORT_FIELDS[sortField]) {
+    var ids = postsArray.map(function(p) { return p.id; });
+    counts = loaders[COUNTED_SORT_FIELDS[sortField]].loadMany(ids).then(function(lists) {
+      var byId = {};
+      ids.forEach(function(id, i) { byId[id] = lists[i].length; });
+      return byId;
+    });
+  }
+
+  return counts.then(function(countOf) {
+    return function(post) {
+      switch (sortField) {
+        case "TITLE":          return [post.title.toLowerCase(), post.id];
+        case "COMMENT_COUNT":
+        case "REACTION_COUNT": return [countOf[post.id], post.id];
+        case "CREATED_AT":     return [new Date(post.createdAt).getTime(), post.id];
+        default:               return [null, post.id];
+      }
+    };
+  });
+}
+
+// --- comments are always listed oldest first ---
+var COMMENT_ORDER = {
+  tag:       "ID",
+  keyOf:     function(comment) { return [null, comment.id]; },
+  sortOrder: "ASC"
+};
+
+// --------------------------------------------------------
+// Cursor connections
+//   A cursor is the base64 of [tag, value, id]: the sort key of
+//   its row plus a tag naming the order it belongs to. after /
+//   before select rows by comparing keys, not by counting
+//   positions, so a cursor still points at the same place after
+//   rows are inserted or deleted between requests.
+// --------------------------------------------------------
+function encodeCursor(tag, key) {
+  return Buffer.from(JSON.stringify([tag, key[0], key[1]])).toString("base64");
+}
+
+function decodeCursor(cursor, tag) {
+  var parts = null;
+  try {
+    parts = JSON.parse(Buffer.from(cursor, "base64").toString("utf8"));
+  } catch (err) {
+    // fall through to the error below
+  }
+  if (!Array.isArray(parts) || parts.length !== 3 || parts[0] !== tag) {
+    throw userInputError("Invalid cursor '" + cursor + "' for this list.");
+  }
+  return [parts[1], parts[2]];
+}
+
+// --------------------------------------------------------
+// Page through rows that are already in key order
+//   args  – first / after / last / before, or limit / offset
+//   order – { tag, keyOf, sortOrder } the rows are sorted by
+//   wrap  – row → wrapped object for the edge's node
+// Returns { edges, pageInfo, items, totalCount, hasMore }, so a
+// connection also answers the older items / hasMore fields.
+// --------------------------------------------------------
+function connectionFromArray(rows, args, order, wrap) {
+  var usesCursors = args.first != null || args.after != null || args.last != null || args.before != null;
+  if (usesCursors && (args.limit != null || args.offset != null)) {
+    throw userInputError("Use either first/after/last/before or limit/offset, not both.");
+  }
+  ["first", "last", "limit", "offset"].forEach(function(name) {
+    if (args[name] != null && args[name] < 0) {
+      throw userInputError("Argument '" + name + "' must not be negative.");
+    }
+  });
+
+  var afterKey  = args.after  != null ? decodeCursor(args.after,  order.tag) : null;
+  var beforeKey = args.before != null ? decodeCursor(args.before, order.tag) : null;
+  var compareTo = function(row, key) {
+    return compareSortKeys(order.keyOf(row), key, order.sortOrder);
+  };
+
+  var slice           = rows;
+  var hasPreviousPage = false;
+  var hasNextPage     = false;
+
+  if (!usesCursors) {
+    var page = paginateArray(rows, args.limit, args.offset);
+    slice           = page.items;
+    hasPreviousPage = (args.offset || 0) > 0 && rows.length > 0;
+    hasNextPage     = page.hasMore;
+  } else {
+    if (afterKey) {
+      slice = slice.filter(function(row) { return compareTo(row, afterKey) > 0; });
+      hasPreviousPage = slice.length < rows.length;
+    }
+    if (beforeKey) {
+      var kept = slice.filter(function(row) { return compareTo(row, beforeKey) < 0; });
+      hasNextPage = kept.length < slice.length;
+      slice = kept;
+    }
+    if (args.first != null && slice.length > args.first) {
+      slice = slice.slice(0, args.first);
+      hasNextPage = true;
     }
+    if (args.last != null && slice.length > args.last) {
+      slice = slice.slice(slice.length - args.last);
+      hasPreviousPage = true;
+    }
+  }
+
+  var edges = slice.map(function(row) {
+    return { cursor: encodeCursor(order.tag, order.keyOf(row)), node: wrap(row) };
+  });
+
+  return {
+    edges: edges,
+    pageInfo: {
+      hasNextPage:     hasNextPage,
+      hasPreviousPage: hasPreviousPage,
+      startCursor:     edges.length ? edges[0].cursor : null,
+      endCursor:       edges.length ? edges[edges.length - 1].cursor : null
+    },
+    items:      edges.map(function(edge) { return edge.node; }),
+    totalCount: rows.length,
+    hasMore:    hasNextPage
+  };
+}
+
+// --- posts matching args.filter, in sortField / sortOrder order, one page of them; Promise of a PostPage ---
+function postConnection(postsArray, args, loaders) {
+  var sortField = args.sortField || null;
+  postsArray = filterRows(postsArray, args.filter, postConditions);
+  return postSortKeys(postsArray, sortField, loaders).then(function(keyOf) {
+    var order = { tag: sortField || "ID", keyOf: keyOf, sortOrder: sortField ? args.sortOrder : "ASC" };
+    return connectionFromArray(sortByKey(postsArray, keyOf, order.sortOrder), args, order, wrapPost);
+  });
+}
 
-    if (valA < valB) return sortOrder === "DESC" ?  1 : -1;
-    if (valA > valB) return sortOrder === "DESC" ? -1 :  1;
-    return 0;
+// --- comments matching args.filter, oldest first, one page of them; a CommentPage ---
+function commentConnection(commentsArray, args) {
+  var rows = filterRows(commentsArray, args.filter, commentConditions);
+  rows = sortByKey(rows, COMMENT_ORDER.keyOf, COMMENT_ORDER.sortOrder);
+  return connectionFromArray(rows, args, COMMENT_ORDER, wrapComment);
+}
+
+// --- revisions are listed newest first ---
+var REVISION_ORDER = {
+  tag:       "REVISION",
+  keyOf:     function(revision) { return [null, revision.id]; },
+  sortOrder: "DESC"
+};
+
+// --- search hits are ranked by score, best first; a score can change as the index does ---
+var SEARCH_ORDER = {
+  tag:       "SCORE",
+  keyOf:     function(hit) { return [hit.score, hit.kind + ":" + hit.row.id]; },
+  sortOrder: "DESC"
+};
+
+// --- the hits the viewer may see, one page of them; Promise of a SearchPage ---
+function searchConnection(hits, args, ctx) {
+  var postIds = hits.map(function(hit) { return hit.kind === "POST" ? hit.row.id : hit.row.postId; });
+  return ctx.loaders.post.loadMany(postIds).then(function(postRows) {
+    var rows = hits.filter(function(hit, i) { return canSeePost(postRows[i], ctx.viewer); });
+    rows = sortByKey(rows, SEARCH_ORDER.keyOf, SEARCH_ORDER.sortOrder);
+    return connectionFromArray(rows, args, SEARCH_ORDER, wrapSearchHit);
+  });
+}
+
+// --- [{ kind, count }] for every reaction kind, in REACTION_KINDS order ---
+function reactionCounts(rows) {
+  return REACTION_KINDS.map(function(kind) {
+    return { kind: kind, count: rows.filter(function(r) { return r.kind === kind; }).length };
+  });
+}
+
+// --- the viewer reacted with `kind`, or with any kind when it is not given ---
+function viewerHasReacted(rows, viewer, kind) {
+  return !!viewer && rows.some(function(r) {
+    return r.userId === viewer.id && (!kind || r.kind === kind);
   });
+}
 
-  return sorted;
+// --- rows → wrapped objects, for loader results ---
+function mapWrap(wrap) {
+  return function(rows) { return rows.map(wrap); };
 }
 
 // --------------------------------------------------------
 // WRAPPERS — nested fields are functions; the executor
-// calls them only when the client selects that field.
+// calls them only when the client selects that field, with
+// (args, context). Lookups go through context.loaders so a
+// list of N items costs one batch, not N scans.
 // --------------------------------------------------------
+// --- a user's posts / comments, as far as the viewer may see them ---
+function loadVisiblePosts(userId, ctx) {
+  return ctx.loaders.postsByAuthor.load(userId).then(function(rows) {
+    return visiblePosts(rows, ctx.viewer);
+  });
+}
+
+function loadVisibleComments(userId, ctx) {
+  return ctx.loaders.commentsByAuthor.load(userId).then(function(rows) {
+    return visibleComments(rows, ctx);
+  });
+}
+
 function wrapUser(user) {
   if (!user) return null;
   return {
@@ -652,20 +4421,30 @@ function wrapUser(user) {
     role:      user.role,
     createdAt: user.createdAt,
 
-    profile: function() {
-      return wrapProfile(findProfileByUser(user.id));
+    profile: function(args, ctx) {
+      return ctx.loaders.profileByUser.load(user.id).then(wrapProfile);
+    },
+    posts: function(args, ctx) {
+      return loadVisiblePosts(user.id, ctx).then(mapWrap(wrapPost));
     },
-    posts: function() {
-      return findPostsByAuthor(user.id).map(wrapPost);
+    postsConnection: function(args, ctx) {
+      return loadVisiblePosts(user.id, ctx).then(function(rows) {
+        return postConnection(rows, args, ctx.loaders);
+      });
+    },
+    comments: function(args, ctx) {
+      return loadVisibleComments(user.id, ctx).then(mapWrap(wrapComment));
     },
-    comments: function() {
-      return findCommentsByAuthor(user.id).map(wrapComment);
+    commentsConnection: function(args, ctx) {
+      return loadVisibleComments(user.id, ctx).then(function(rows) {
+        return commentConnection(rows, args);
+      });
     },
-    postCount: function() {
-      return findPostsByAuthor(user.id).length;
+    postCount: function(args, ctx) {
+      return loadVisiblePosts(user.id, ctx).then(function(rows) { return rows.length; });
     },
-    commentCount: function() {
-      return findCommentsByAuthor(user.id).length;
+    commentCount: function(args, ctx) {
+      return loadVisibleComments(user.id, ctx).then(function(rows) { return rows.length; });
     }
   };
 }
@@ -679,8 +4458,8 @@ function wrapProfile(profile) {
     website:  profile.website,
     location: profile.location,
 
-    user: function() {
-      return wrapUser(findUser(profile.userId));
+    user: function(args, ctx) {
+      return ctx.loaders.user.load(profile.userId).then(wrapUser);
     }
   };
 }
@@ -695,28 +4474,52 @@ function wrapPost(post) {
     createdAt: post.createdAt,
     published: post.published,
 
-    author: function() {
-      return wrapUser(findUser(post.authorId));
+    author: function(args, ctx) {
+      return ctx.loaders.user.load(post.authorId).then(wrapUser);
+    },
+    comments: function(args, ctx) {
+      return ctx.loaders.commentsByPost.load(post.id).then(mapWrap(wrapComment));
     },
-    comments: function() {
-      return findCommentsByPost(post.id).map(wrapComment);
+    commentsConnection: function(args, ctx) {
+      return ctx.loaders.commentsByPost.load(post.id).then(function(rows) {
+        return commentConnection(rows, args);
+      });
+    },
+    commentCount: function(args, ctx) {
+      return ctx.loaders.commentsByPost.load(post.id).then(function(rows) { return rows.length; });
+    },
+    revisions: function(args, ctx) {
+      return ctx.loaders.revisionsByPost.load(post.id).then(function(rows) {
+        rows = sortByKey(rows, REVISION_ORDER.keyOf, REVISION_ORDER.sortOrder);
+        return connectionFromArray(rows, args, REVISION_ORDER, wrapRevision);
+      });
     },
-    commentCount: function() {
-      return findCommentsByPost(post.id).length;
+    reactionCount: function(args, ctx) {
+      return ctx.loaders.reactionsByPost.load(post.id).then(function(rows) { return rows.length; });
+    },
+    reactionCounts: function(args, ctx) {
+      return ctx.loaders.reactionsByPost.load(post.id).then(reactionCounts);
+    },
+    viewerHasReacted: function(args, ctx) {
+      return ctx.loaders.reactionsByPost.load(post.id).then(function(rows) {
+        return viewerHasReacted(rows, ctx.viewer, args.kind);
+      });
     },
     // complex: posts sharing at least one tag, deduplicated
-    relatedPosts: function() {
-      var seen = {};
-      var related = [];
-      post.tags.forEach(function(tag) {
-        findPostsByTag(tag).forEach(function(p) {
-          if (p.id !== post.id && !seen[p.id]) {
-            seen[p.id] = true;
-            related.push(p);
-          }
+    relatedPosts: function(args, ctx) {
+      return ctx.loaders.postsByTag.loadMany(post.tags).then(function(lists) {
+        var seen = {};
+        var related = [];
+        lists.forEach(function(tagged) {
+          tagged.forEach(function(p) {
+            if (p.id !== post.id && !seen[p.id] && canSeePost(p, ctx.viewer)) {
+              seen[p.id] = true;
+              related.push(p);
+            }
+          });
         });
+        return related.map(wrapPost);
       });
-      return related.map(wrapPost);
     }
   };
 }
@@ -729,30 +4532,102 @@ function wrapComment(comment) {
     body:      comment.body,
     createdAt: comment.createdAt,
 
-    author: function() {
-      return wrapUser(findUser(comment.authorId));
+    author: function(args, ctx) {
+      return ctx.loaders.user.load(comment.authorId).then(wrapUser);
     },
-    post: function() {
-      return wrapPost(findPost(comment.postId));
+    post: function(args, ctx) {
+      return ctx.loaders.post.load(comment.postId).then(function(row) {
+        return wrapPost(canSeePost(row, ctx.viewer) ? row : null);
+      });
+    },
+    reactionCount: function(args, ctx) {
+      return ctx.loaders.reactionsByComment.load(comment.id).then(function(rows) { return rows.length; });
+    },
+    reactionCounts: function(args, ctx) {
+      return ctx.loaders.reactionsByComment.load(comment.id).then(reactionCounts);
+    },
+    viewerHasReacted: function(args, ctx) {
+      return ctx.loaders.reactionsByComment.load(comment.id).then(function(rows) {
+        return viewerHasReacted(rows, ctx.viewer, args.kind);
+      });
+    }
+  };
+}
+
+// a change's values are JSON text, since a field may be a string, a list or a boolean
+function wrapRevision(revision) {
+  if (!revision) return null;
+  return {
+    id:        revision.id,
+    postId:    revision.postId,
+    createdAt: revision.createdAt,
+    changes:   revision.changes.map(function(change) {
+      return { field: change.field, from: JSON.stringify(change.from), to: JSON.stringify(change.to) };
+    }),
+
+    // null once the editor's account is deleted
+    editor: function(args, ctx) {
+      return revision.editorId ? ctx.loaders.user.load(revision.editorId).then(wrapUser) : null;
+    },
+    reverts: function() {
+      return wrapRevision(revision.reverts ? findRevision(revision.reverts) : null);
+    }
+  };
+}
+
+// post is set for a reaction on a post, comment for one on a comment
+function wrapReaction(reaction) {
+  return {
+    id:        reaction.id,
+    kind:      reaction.kind,
+    createdAt: reaction.createdAt,
+
+    user: function(args, ctx) {
+      return ctx.loaders.user.load(reaction.userId).then(wrapUser);
+    },
+    // a post that has gone back to draft since is hidden like anywhere else
+    post: function(args, ctx) {
+      if (!reaction.postId) return null;
+      return ctx.loaders.post.load(reaction.postId).then(function(row) {
+        return wrapPost(canSeePost(row, ctx.viewer) ? row : null);
+      });
+    },
+    comment: function(args, ctx) {
+      if (!reaction.commentId) return null;
+      return ctx.loaders.comment.load(reaction.commentId).then(function(row) {
+        return visibleComments(row ? [row] : [], ctx);
+      }).then(function(rows) {
+        return wrapComment(rows[0] || null);
+      });
     }
   };
 }
 
+function wrapSearchHit(hit) {
+  return {
+    kind:    hit.kind,
+    score:   hit.score,
+    snippet: hit.snippet,
+    post:    hit.kind === "POST"    ? wrapPost(hit.row)    : null,
+    comment: hit.kind === "COMMENT" ? wrapComment(hit.row) : null
+  };
+}
+
 // --------------------------------------------------------
-// ROOT RESOLVER OBJECT
+// ROOT RESOLVER OBJECTS
 //   Each key = a top-level query or mutation name.
-//   Each value = function(args) the executor calls.
+//   Each value = function(args, context) the executor calls.
+// Queries and mutations live in separate objects so a query
+// operation can never reach a mutation resolver.
 // --------------------------------------------------------
-var resolvers = {
-
-  // --- QUERIES ---
+var queryResolvers = {
 
   user: function(args) {
     return wrapUser(findUser(args.id));
   },
 
-  users: function() {
-    return getAllUsers().map(wrapUser);
+  users: function(args) {
+    return filterRows(getAllUsers(), args.filter, userConditions).map(wrapUser);
   },
 
   userByEmail: function(args) {
@@ -762,46 +4637,55 @@ var resolvers = {
     return wrapUser(found || null);
   },
 
-  post: function(args) {
-    return wrapPost(findPost(args.id));
+  // the user the request's bearer token was issued to, or null
+  viewer: function(args, ctx) {
+    return wrapUser(ctx.viewer);
   },
 
-  // paginated + sortable post list
-  posts: function(args) {
-    var allPosts  = getAllPosts();
-    var sorted    = sortPosts(allPosts, args.sortField, args.sortOrder || "DESC");
-    var paginated = paginateArray(sorted, args.limit, args.offset);
-    return {
-      items:      paginated.items.map(wrapPost),
-      totalCount: paginated.totalCount,
-      hasMore:    paginated.hasMore
-    };
+  // someone else's draft reads as missing
+  post: function(args, ctx) {
+    var post = findPost(args.id);
+    return wrapPost(canSeePost(post, ctx.viewer) ? post : null);
   },
 
-  postsByAuthor: function(args) {
-    return findPostsByAuthor(args.authorId).map(wrapPost);
+  // paginated + sortable post list — limit/offset or cursors
+  posts: function(args, ctx) {
+    return postConnection(visiblePosts(getAllPosts(), ctx.viewer), args, ctx.loaders);
   },
 
-  postsByTag: function(args) {
-    return findPostsByTag(args.tag).map(wrapPost);
+  postsByAuthor: function(args, ctx) {
+    return visiblePosts(findPostsByAuthor(args.authorId), ctx.viewer).map(wrapPost);
   },
 
-  searchPosts: function(args) {
-    return searchPosts(args.keyword).map(wrapPost);
+  postsByTag: function(args, ctx) {
+    return visiblePosts(findPostsByTag(args.tag), ctx.viewer).map(wrapPost);
   },
 
-  comment: function(args) {
-    return wrapComment(findComment(args.id));
+  searchPosts: function(args, ctx) {
+    return visiblePosts(searchPosts(args.keyword), ctx.viewer).map(wrapPost);
   },
 
-  commentsOnPost: function(args) {
-    var all       = findCommentsByPost(args.postId);
-    var paginated = paginateArray(all, args.limit, args.offset);
-    return {
-      items:      paginated.items.map(wrapComment),
-      totalCount: paginated.totalCount,
-      hasMore:    paginated.hasMore
-    };
+  search: function(args, ctx) {
+    return searchConnection(searchDocuments(args.query, args.in || ["POST", "COMMENT"]), args, ctx);
+  },
+
+  comment: function(args, ctx) {
+    var comment = findComment(args.id);
+    return visibleComments(comment ? [comment] : [], ctx).then(function(rows) {
+      return wrapComment(rows[0] || null);
+    });
+  },
+
+  commentsOnPost: function(args, ctx) {
+    return visibleComments(findCommentsByPost(args.postId), ctx).then(function(rows) {
+      return commentConnection(rows, args);
+    });
+  },
+
+  comments: function(args, ctx) {
+    return visibleComments(getAllComments(), ctx).then(function(rows) {
+      return commentConnection(rows, args);
+    });
   },
 
   profile: function(args) {
@@ -809,10 +4693,15 @@ var resolvers = {
   },
 
   // complex aggregation resolver
-  siteStats: function() {
+  siteStats: function(args, ctx) {
     var allUsers    = getAllUsers();
-    var allPosts    = getAllPosts();
-    var allComments = getAllComments();
+    var allPosts    = visiblePosts(getAllPosts(), ctx.viewer);
+
+    // comments on drafts the viewer cannot see are not counted either
+    var seenPostIds = {};
+    allPosts.forEach(function(p) { seenPostIds[p.id] = true; });
+    var onSeenPost  = function(c) { return seenPostIds[c.postId] === true; };
+    var allComments = getAllComments().filter(onSeenPost);
 
     // tag frequency map
     var tagMap = {};
@@ -829,8 +4718,8 @@ var resolvers = {
 
     // per-user engagement
     var topUsers = allUsers.map(function(u) {
-      var pc = findPostsByAuthor(u.id).length;
-      var cc = findCommentsByAuthor(u.id).length;
+      var pc = visiblePosts(findPostsByAuthor(u.id), ctx.viewer).length;
+      var cc = findCommentsByAuthor(u.id).filter(onSeenPost).length;
       return {
         user:            wrapUser(u),
         postCount:       pc,
@@ -841,72 +4730,740 @@ var resolvers = {
     topUsers.sort(function(a, b) { return b.totalEngagement - a.totalEngagement; });
     topUsers = topUsers.slice(0, 3);
 
+    // in posts(sortField: REACTION_COUNT) order, so ties agree with it
+    function mostReactedPosts() {
+      return postSortKeys(allPosts, "REACTION_COUNT", ctx.loaders).then(function(keyOf) {
+        return sortByKey(allPosts, keyOf, "DESC").filter(function(p) {
+          return keyOf(p)[0] > 0;
+        }).slice(0, 5).map(function(p) {
+          return { post: wrapPost(p), reactionCount: keyOf(p)[0] };
+        });
+      });
+    }
+
     return {
-      totalUsers:    allUsers.length,
-      totalPosts:    allPosts.length,
-      totalComments: allComments.length,
-      topTags:       topTags,
-      topUsers:      topUsers
+      totalUsers:       allUsers.length,
+      totalPosts:       allPosts.length,
+      totalComments:    allComments.length,
+      topTags:          topTags,
+      topUsers:         topUsers,
+      mostReactedPosts: mostReactedPosts
     };
-  },
+  }
+};
+
+// --- { postId, commentId } of a ReactionInput, checked to name exactly one target the viewer can see ---
+function reactionTarget(input, viewer) {
+  if (!input.postId === !input.commentId) {
+    throw userInputError("Give exactly one of 'postId' and 'commentId'.");
+  }
+  if (input.postId) {
+    if (!canSeePost(findPost(input.postId), viewer)) {
+      throw notFoundError("Post with id '" + input.postId + "' not found.");
+    }
+    return { postId: input.postId, commentId: null };
+  }
+  var comment = findComment(input.commentId);
+  if (!comment || !canSeePost(findPost(comment.postId), viewer)) {
+    throw notFoundError("Comment with id '" + input.commentId + "' not found.");
+  }
+  return { postId: null, commentId: input.commentId };
+}
+
+var mutationResolvers = {
 
-  // --- MUTATIONS ---
+  // same error, after the same scrypt work, for an unknown email and
+  // a wrong password. The request keeps its viewer; only the payload's
+  // user counts as "self" (see that rule)
+  login: function(args) {
+    var user = getAllUsers().find(function(u) {
+      return u.email === args.email;
+    });
+    var stored = user && user.passwordHash;
+    return verifyPassword(args.password, stored || DUMMY_PASSWORD_HASH).then(function(ok) {
+      if (!ok || !stored) {
+        throw unauthenticatedError("Invalid email or password.");
+      }
+      var issued   = issueToken(user);
+      var signedIn = wrapUser(user);
+      signedIn.signedInByLogin = true;
+      return { token: issued.token, expiresAt: issued.expiresAt, user: signedIn };
+    });
+  },
 
-  createUser: function(args) {
+  createUser: function(args, ctx) {
+    // without a viewer uniqueEmail stays quiet, so a sign-up cannot be
+    // used to find out which addresses are registered
+    if (!ctx.viewer && isEmailTaken(args.input.email)) {
+      throw userInputError("The account could not be created.");
+    }
     var newUser = addUser(args.input);
     return wrapUser(newUser);
   },
 
+  updateUser: function(args) {
+    if (!findUser(args.id)) {
+      throw notFoundError("User with id '" + args.id + "' not found.");
+    }
+    return wrapUser(updateUser(args.id, args.input));
+  },
+
+  // USER_DELETE_POLICY decides what becomes of their posts and comments
+  deleteUser: function(args) {
+    if (!findUser(args.id)) {
+      throw notFoundError("User with id '" + args.id + "' not found.");
+    }
+    if (args.id === DELETED_USER_ID) {
+      throw userInputError("The placeholder for deleted users cannot be deleted.");
+    }
+    var counts = userContentCounts(args.id);
+    if (USER_DELETE_POLICY === "RESTRICT" && (counts.posts || counts.comments)) {
+      throw userInputError("User '" + args.id + "' still has " + counts.posts + " post(s) and " +
+                           counts.comments + " comment(s); delete them first.");
+    }
+    return deleteUser(args.id, USER_DELETE_POLICY);
+  },
+
   createPost: function(args) {
     if (!findUser(args.input.authorId)) {
-      throw new Error("Author with id '" + args.input.authorId + "' does not exist.");
+      throw userInputError("Author with id '" + args.input.authorId + "' does not exist.");
     }
     var newPost = addPost(args.input);
     return wrapPost(newPost);
   },
 
-  updatePost: function(args) {
+  updatePost: function(args, ctx) {
     if (!findPost(args.id)) {
-      throw new Error("Post with id '" + args.id + "' not found.");
+      throw notFoundError("Post with id '" + args.id + "' not found.");
     }
-    var updated = updatePost(args.id, args.input);
+    var updated = updatePost(args.id, args.input, ctx.viewer.id);
     return wrapPost(updated);
   },
 
+  revertPost: function(args, ctx) {
+    if (!findPost(args.id)) {
+      throw notFoundError("Post with id '" + args.id + "' not found.");
+    }
+    var reverted = revertPost(args.id, args.revisionId, ctx.viewer.id);
+    if (!reverted) {
+      throw notFoundError("Revision with id '" + args.revisionId + "' not found on post '" + args.id + "'.");
+    }
+    return wrapPost(reverted);
+  },
+
   deletePost: function(args) {
     if (!findPost(args.id)) {
-      throw new Error("Post with id '" + args.id + "' not found.");
+      throw notFoundError("Post with id '" + args.id + "' not found.");
     }
     return deletePost(args.id);
   },
 
-  createComment: function(args) {
-    if (!findPost(args.input.postId)) {
-      throw new Error("Post with id '" + args.input.postId + "' does not exist.");
+  createComment: function(args, ctx) {
+    if (!canSeePost(findPost(args.input.postId), ctx.viewer)) {
+      throw userInputError("Post with id '" + args.input.postId + "' does not exist.");
     }
     if (!findUser(args.input.authorId)) {
-      throw new Error("Author with id '" + args.input.authorId + "' does not exist.");
+      throw userInputError("Author with id '" + args.input.authorId + "' does not exist.");
     }
     var newComment = addComment(args.input);
     return wrapComment(newComment);
   },
 
+  updateComment: function(args) {
+    if (!findComment(args.id)) {
+      throw notFoundError("Comment with id '" + args.id + "' not found.");
+    }
+    return wrapComment(updateComment(args.id, args.input));
+  },
+
   deleteComment: function(args) {
     if (!findComment(args.id)) {
-      throw new Error("Comment with id '" + args.id + "' not found.");
+      throw notFoundError("Comment with id '" + args.id + "' not found.");
     }
     return deleteComment(args.id);
   },
 
   updateProfile: function(args) {
-    if (!findProfileByUser(args.userId)) {
-      throw new Error("Profile for user '" + args.userId + "' not found.");
+    if (!findUser(args.userId)) {
+      throw notFoundError("User with id '" + args.userId + "' not found.");
     }
     var updated = updateProfile(args.userId, args.input);
     return wrapProfile(updated);
+  },
+
+  deleteProfile: function(args) {
+    if (!findProfileByUser(args.userId)) {
+      throw notFoundError("Profile for user '" + args.userId + "' not found.");
+    }
+    return deleteProfile(args.userId);
+  },
+
+  // reactions are always the viewer's own
+  addReaction: function(args, ctx) {
+    var target = reactionTarget(args.input, ctx.viewer);
+    return wrapReaction(addReaction({
+      userId: ctx.viewer.id, postId: target.postId, commentId: target.commentId, kind: args.input.kind
+    }));
+  },
+
+  removeReaction: function(args, ctx) {
+    var target = reactionTarget(args.input, ctx.viewer);
+    return removeReaction({
+      userId: ctx.viewer.id, postId: target.postId, commentId: target.commentId, kind: args.input.kind
+    });
+  }
+};
+
+// --------------------------------------------------------
+// SUBSCRIPTION RESOLVERS
+//   function(args, context, emit) → unsubscribe
+// Each listens on pubsub and emits the root field's value for
+// every event the viewer may see; the executor runs the
+// subscription's selection set against it (see subscribe()).
+// --------------------------------------------------------
+var subscriptionResolvers = {
+
+  postCreated: function(args, ctx, emit) {
+    return pubsub.subscribe("postCreated", function(post) {
+      if (canSeePost(post, ctx.viewer)) emit(wrapPost(post));
+    });
+  },
+
+  // every post, or only args.id
+  postUpdated: function(args, ctx, emit) {
+    return pubsub.subscribe("postUpdated", function(post) {
+      if (args.id != null && post.id !== args.id) return;
+      if (canSeePost(post, ctx.viewer)) emit(wrapPost(post));
+    });
+  },
+
+  // the id of the deleted post
+  postDeleted: function(args, ctx, emit) {
+    return pubsub.subscribe("postDeleted", function(post) {
+      if (canSeePost(post, ctx.viewer)) emit(post.id);
+    });
+  },
+
+  // comments on every post, or only on args.postId
+  commentAdded: function(args, ctx, emit) {
+    return pubsub.subscribe("commentAdded", function(comment) {
+      if (args.postId != null && comment.postId !== args.postId) return;
+      if (canSeePost(findPost(comment.postId), ctx.viewer)) emit(wrapComment(comment));
+    });
   }
 };
 
+// ============================================================
+// PERMISSIONS
+// Who may read or change what. Field rules are registered here
+// and attached to schema fields with `auth` (see the executor).
+// Drafts are hidden row by row instead: an unpublished post is
+// visible to its author only, and so are the comments on it, so
+// the resolvers pass their rows through visiblePosts and
+// visibleComments.
+// ============================================================
+
+function canSeePost(post, viewer) {
+  return !!post && (post.published || (!!viewer && viewer.id === post.authorId));
+}
+
+function visiblePosts(rows, viewer) {
+  return rows.filter(function(p) { return canSeePost(p, viewer); });
+}
+
+// --- comments on posts the viewer can see; Promise of the rows ---
+function visibleComments(rows, ctx) {
+  var postIds = rows.map(function(c) { return c.postId; });
+  return ctx.loaders.post.loadMany(postIds).then(function(postRows) {
+    return rows.filter(function(c, i) { return canSeePost(postRows[i], ctx.viewer); });
+  });
+}
+
+function hasRole(viewer, roles) {
+  return !!viewer && roles.indexOf(viewer.role) !== -1;
+}
+
+registerPermissionRule("admin", function(parent, args, ctx) {
+  return hasRole(ctx.viewer, ["ADMIN"]);
+});
+
+// any signed-in user
+registerPermissionRule("signedIn", function(parent, args, ctx) {
+  return !!ctx.viewer;
+});
+
+// moderators and admins
+registerPermissionRule("moderator", function(parent, args, ctx) {
+  return hasRole(ctx.viewer, ["MODERATOR", "ADMIN"]);
+});
+
+// the User being read is the viewer, or the user a login in this
+// request just proved the password of
+registerPermissionRule("self", function(user, args, ctx) {
+  return user.signedInByLogin === true || (!!ctx.viewer && user.id === ctx.viewer.id);
+});
+
+// looking up the viewer's own address
+registerPermissionRule("ownEmail", function(parent, args, ctx) {
+  return !!ctx.viewer && args.email === ctx.viewer.email;
+});
+
+// anyone may sign up, but only as a plain USER
+registerPermissionRule("defaultRole", function(parent, args) {
+  return !args.input.role || args.input.role === "USER";
+});
+
+// nobody writes in someone else's name
+registerPermissionRule("inputAuthor", function(parent, args, ctx) {
+  return !!ctx.viewer && args.input.authorId === ctx.viewer.id;
+});
+
+// The target of args.id was written by the viewer. An unknown id
+// passes so that the resolver can report it as NOT_FOUND.
+registerPermissionRule("postAuthor", function(parent, args, ctx) {
+  var post = findPost(args.id);
+  return !!ctx.viewer && (!post || post.authorId === ctx.viewer.id);
+});
+
+// the Post being read was written by the viewer
+registerPermissionRule("ownPost", function(post, args, ctx) {
+  var row = findPost(post.id);
+  return !!ctx.viewer && !!row && row.authorId === ctx.viewer.id;
+});
+
+registerPermissionRule("commentAuthor", function(parent, args, ctx) {
+  var comment = findComment(args.id);
+  return !!ctx.viewer && (!comment || comment.authorId === ctx.viewer.id);
+});
+
+registerPermissionRule("profileOwner", function(parent, args, ctx) {
+  return !!ctx.viewer && args.userId === ctx.viewer.id;
+});
+
+// args.id is the viewer's own account, and any role in the input is the one they have
+registerPermissionRule("ownAccount", function(parent, args, ctx) {
+  var role = args.input && args.input.role;
+  return !!ctx.viewer && args.id === ctx.viewer.id && (!role || role === ctx.viewer.role);
+});
+
+// ============================================================
+// SCHEMA
+// The type system for everything the root resolver object and
+// the wrap* functions expose. Every document is validated
+// against it before execution, and the executor uses it to
+// coerce arguments and shape results.
+// ============================================================
+// --- a listSize for a list that can hold every row of the tables ---
+function rowCount() {
+  var tablesRows = Array.prototype.slice.call(arguments);
+  return function() {
+    return tablesRows.reduce(function(sum, rows) { return sum + rows.length; }, 0);
+  };
+}
+
+// shared by the create and update inputs
+var POST_TITLE_RULES    = { required: true, maxLength: 200 };
+var POST_BODY_RULES     = { required: true, maxLength: 10000 };
+var POST_TAGS_RULES     = { required: true, maxLength: 10, each: { required: true, maxLength: 30 } };
+var USER_NAME_RULES     = { required: true, maxLength: 80 };
+var USER_EMAIL_RULES    = { required: true, maxLength: 254, format: "email", uniqueEmail: true };
+var USER_PASSWORD_RULES = { minLength: 8, maxLength: 128 };
+var COMMENT_BODY_RULES  = { required: true, maxLength: 2000 };
+
+var schema = buildSchema({
+  query:        "Query",
+  mutation:     "Mutation",
+  subscription: "Subscription",
+  types: {
+
+    // --- enums ---
+    Role:          { kind: "ENUM", values: ["ADMIN", "MODERATOR", "USER"] },
+    PostSortField: { kind: "ENUM", values: ["TITLE", "COMMENT_COUNT", "REACTION_COUNT", "CREATED_AT"] },
+    SortOrder:     { kind: "ENUM", values: ["ASC", "DESC"] },
+    SearchTarget:  { kind: "ENUM", values: ["POST", "COMMENT"] },
+    ReactionKind:  { kind: "ENUM", values: REACTION_KINDS },
+
+    // --- object types (wrap* results) ---
+    User: { kind: "OBJECT", fields: {
+      id:           "ID!",
+      name:         "String!",
+      email:        { type: "String", auth: ["self", "admin"] },
+      role:         "Role!",
+      createdAt:    "String!",
+      profile:      "Profile",
+      posts:        "[Post!]!",
+      comments:     "[Comment!]!",
+      postCount:    { type: "Int!", cost: 1 },
+      commentCount: { type: "Int!", cost: 1 },
+      postsConnection: { type: "PostPage!", args: {
+        filter:    "PostFilter",
+        first:     "Int",
+        after:     "String",
+        last:      "Int",
+        before:    "String",
+        sortField: "PostSortField",
+        sortOrder: { type: "SortOrder", defaultValue: "DESC" }
+      }},
+      commentsConnection: { type: "CommentPage!", args: {
+        filter: "CommentFilter", first: "Int", after: "String", last: "Int", before: "String"
+      }}
+    }},
+
+    Profile: { kind: "OBJECT", fields: {
+      userId:   "ID!",
+      bio:      "String",
+      avatar:   "String",
+      website:  "String",
+      location: "String",
+      user:     "User"
+    }},
+
+    Post: { kind: "OBJECT", fields: {
+      id:           "ID!",
+      title:        "String!",
+      body:         "String!",
+      tags:         "[String!]!",
+      createdAt:    "String!",
+      published:    "Boolean!",
+      author:       "User",
+      comments:     "[Comment!]!",
+      commentCount: { type: "Int!",     cost: 1 },
+      relatedPosts: { type: "[Post!]!", cost: 2 },
+      commentsConnection: { type: "CommentPage!", args: {
+        filter: "CommentFilter", first: "Int", after: "String", last: "Int", before: "String"
+      }},
+      reactionCount:    { type: "Int!",              cost: 1 },
+      reactionCounts:   { type: "[ReactionCount!]!", cost: 1 },
+      viewerHasReacted: { type: "Boolean!",          cost: 1, args: { kind: "ReactionKind" } },
+      revisions: { type: "RevisionPage", auth: ["ownPost", "moderator"], args: {
+        limit: "Int", offset: "Int", first: "Int", after: "String", last: "Int", before: "String"
+      }}
+    }},
+
+    Comment: { kind: "OBJECT", fields: {
+      id:        "ID!",
+      postId:    "ID!",
+      body:      "String!",
+      createdAt: "String!",
+      author:    "User",
+      post:      "Post",
+      reactionCount:    { type: "Int!",              cost: 1 },
+      reactionCounts:   { type: "[ReactionCount!]!", cost: 1 },
+      viewerHasReacted: { type: "Boolean!",          cost: 1, args: { kind: "ReactionKind" } }
+    }},
+
+    // reverts is the revision a revert went back before
+    Revision: { kind: "OBJECT", fields: {
+      id:        "ID!",
+      postId:    "ID!",
+      editor:    "User",
+      createdAt: "String!",
+      changes:   "[RevisionChange!]!",
+      reverts:   "Revision"
+    }},
+
+    // from / to are JSON text: "\"A title\"", "[\"graphql\"]", "true"
+    RevisionChange: { kind: "OBJECT", fields: {
+      field: "String!",
+      from:  "String!",
+      to:    "String!"
+    }},
+
+    // post is set for a reaction on a post, comment for one on a comment
+    Reaction: { kind: "OBJECT", fields: {
+      id:        "ID!",
+      kind:      "ReactionKind!",
+      createdAt: "String!",
+      user:      "User",
+      post:      "Post",
+      comment:   "Comment"
+    }},
+
+    ReactionCount: { kind: "OBJECT", fields: {
+      kind:  "ReactionKind!",
+      count: "Int!"
+    }},
+
+    // --- paginated wrappers and aggregates ---
+    //     pages answer both offset-style items / hasMore and Relay-style edges / pageInfo;
+    //     their lists have listSize 1 because the field returning the page already
+    //     multiplies by first / last / limit
+    PostPage: { kind: "OBJECT", fields: {
+      edges:      { type: "[PostEdge!]!", listSize: 1 },
+      pageInfo:   "PageInfo!",
+      items:      { type: "[Post!]!",     listSize: 1 },
+      totalCount: "Int!",
+      hasMore:    "Boolean!"
+    }},
+
+    PostEdge: { kind: "OBJECT", fields: {
+      cursor: "String!",
+      node:   "Post!"
+    }},
+
+    CommentPage: { kind: "OBJECT", fields: {
+      edges:      { type: "[CommentEdge!]!", listSize: 1 },
+      pageInfo:   "PageInfo!",
+      items:      { type: "[Comment!]!",     listSize: 1 },
+      totalCount: "Int!",
+      hasMore:    "Boolean!"
+    }},
+
+    CommentEdge: { kind: "OBJECT", fields: {
+      cursor: "String!",
+      node:   "Comment!"
+    }},
+
+    RevisionPage: { kind: "OBJECT", fields: {
+      edges:      { type: "[RevisionEdge!]!", listSize: 1 },
+      pageInfo:   "PageInfo!",
+      items:      { type: "[Revision!]!",     listSize: 1 },
+      totalCount: "Int!",
+      hasMore:    "Boolean!"
+    }},
+
+    RevisionEdge: { kind: "OBJECT", fields: {
+      cursor: "String!",
+      node:   "Revision!"
+    }},
+
+    SearchPage: { kind: "OBJECT", fields: {
+      edges:      { type: "[SearchEdge!]!", listSize: 1 },
+      pageInfo:   "PageInfo!",
+      items:      { type: "[SearchHit!]!",  listSize: 1 },
+      totalCount: "Int!",
+      hasMore:    "Boolean!"
+    }},
+
+    SearchEdge: { kind: "OBJECT", fields: {
+      cursor: "String!",
+      node:   "SearchHit!"
+    }},
+
+    // post is set for a POST hit, comment for a COMMENT hit
+    SearchHit: { kind: "OBJECT", fields: {
+      kind:    "SearchTarget!",
+      score:   "Float!",
+      snippet: "String!",
+      post:    "Post",
+      comment: "Comment"
+    }},
+
+    PageInfo: { kind: "OBJECT", fields: {
+      hasNextPage:     "Boolean!",
+      hasPreviousPage: "Boolean!",
+      startCursor:     "String",
+      endCursor:       "String"
+    }},
+
+    AuthPayload: { kind: "OBJECT", fields: {
+      token:     "String!",
+      expiresAt: "String!",
+      user:      "User!"
+    }},
+
+    TagStat: { kind: "OBJECT", fields: {
+      tag:       "String!",
+      postCount: "Int!"
+    }},
+
+    UserStat: { kind: "OBJECT", fields: {
+      user:            "User!",
+      postCount:       "Int!",
+      commentCount:    "Int!",
+      totalEngagement: "Int!"
+    }},
+
+    PostStat: { kind: "OBJECT", fields: {
+      post:          "Post!",
+      reactionCount: "Int!"
+    }},
+
+    SiteStats: { kind: "OBJECT", fields: {
+      totalUsers:       "Int!",
+      totalPosts:       "Int!",
+      totalComments:    "Int!",
+      topTags:          "[TagStat!]!",
+      topUsers:         "[UserStat!]!",
+      mostReactedPosts: "[PostStat!]!"
+    }},
+
+    // --- filter inputs: every condition given must hold ---
+    PostFilter: { kind: "INPUT_OBJECT", fields: {
+      published:     "Boolean",
+      authorIds:     "[ID!]",
+      tagsAny:       "[String!]",
+      tagsAll:       "[String!]",
+      createdAfter:  "String",
+      createdBefore: "String",
+      keyword:       "String",
+      AND:           "[PostFilter!]",
+      OR:            "[PostFilter!]",
+      NOT:           "PostFilter"
+    }},
+
+    CommentFilter: { kind: "INPUT_OBJECT", fields: {
+      postIds:       "[ID!]",
+      authorIds:     "[ID!]",
+      createdAfter:  "String",
+      createdBefore: "String",
+      keyword:       "String",
+      AND:           "[CommentFilter!]",
+      OR:            "[CommentFilter!]",
+      NOT:           "CommentFilter"
+    }},
+
+    UserFilter: { kind: "INPUT_OBJECT", fields: {
+      ids:           "[ID!]",
+      roles:         "[Role!]",
+      createdAfter:  "String",
+      createdBefore: "String",
+      keyword:       "String",
+      AND:           "[UserFilter!]",
+      OR:            "[UserFilter!]",
+      NOT:           "UserFilter"
+    }},
+
+    // --- mutation inputs ---
+    // `rules` are checked before the mutation runs — see INPUT RULES
+    CreateUserInput: { kind: "INPUT_OBJECT", fields: {
+      name:     { type: "String!", rules: USER_NAME_RULES },
+      email:    { type: "String!", rules: USER_EMAIL_RULES },
+      role:     "Role",
+      password: { type: "String",  rules: USER_PASSWORD_RULES }
+    }},
+
+    UpdateUserInput: { kind: "INPUT_OBJECT", fields: {
+      name:     { type: "String", rules: USER_NAME_RULES },
+      email:    { type: "String", rules: USER_EMAIL_RULES },
+      role:     { type: "Role",   rules: { required: true } },
+      password: { type: "String", rules: { required: true, minLength: 8, maxLength: 128 } }
+    }},
+
+    CreatePostInput: { kind: "INPUT_OBJECT", fields: {
+      title:     { type: "String!",   rules: POST_TITLE_RULES },
+      body:      { type: "String!",   rules: POST_BODY_RULES },
+      authorId:  "ID!",
+      tags:      { type: "[String!]", rules: POST_TAGS_RULES },
+      published: "Boolean"
+    }},
+
+    UpdatePostInput: { kind: "INPUT_OBJECT", fields: {
+      title:     { type: "String",    rules: POST_TITLE_RULES },
+      body:      { type: "String",    rules: POST_BODY_RULES },
+      tags:      { type: "[String!]", rules: POST_TAGS_RULES },
+      published: { type: "Boolean",   rules: { required: true } }
+    }},
+
+    CreateCommentInput: { kind: "INPUT_OBJECT", fields: {
+      postId:   "ID!",
+      authorId: "ID!",
+      body:     { type: "String!", rules: COMMENT_BODY_RULES }
+    }},
+
+    UpdateCommentInput: { kind: "INPUT_OBJECT", fields: {
+      body: { type: "String", rules: COMMENT_BODY_RULES }
+    }},
+
+    UpdateProfileInput: { kind: "INPUT_OBJECT", fields: {
+      bio:      { type: "String", rules: { maxLength: 500 } },
+      avatar:   { type: "String", rules: { maxLength: 2048, format: "url" } },
+      website:  { type: "String", rules: { maxLength: 2048, format: "url" } },
+      location: { type: "String", rules: { maxLength: 100 } }
+    }},
+
+    // exactly one of postId and commentId
+    ReactionInput: { kind: "INPUT_OBJECT", fields: {
+      postId:    "ID",
+      commentId: "ID",
+      kind:      "ReactionKind!"
+    }},
+
+    // --- root types ---
+    Query: { kind: "OBJECT", fields: {
+      viewer:         "User",
+      user:           { type: "User",         args: { id: "ID!" } },
+      users:          { type: "[User!]!",     args: { filter: "UserFilter" }, listSize: rowCount(users) },
+      userByEmail:    { type: "User",         args: { email: "String!" }, auth: ["ownEmail", "admin"] },
+      post:           { type: "Post",         args: { id: "ID!" } },
+      posts:          { type: "PostPage!",    args: {
+        filter:    "PostFilter",
+        limit:     "Int",
+        offset:    "Int",
+        first:     "Int",
+        after:     "String",
+        last:      "Int",
+        before:    "String",
+        sortField: "PostSortField",
+        sortOrder: { type: "SortOrder", defaultValue: "DESC" }
+      }, listSize: rowCount(posts) },
+      postsByAuthor:  { type: "[Post!]!",     args: { authorId: "ID!" },
+                        deprecationReason: "Use posts(filter: { authorIds: [...] })." },
+      postsByTag:     { type: "[Post!]!",     args: { tag: "String!" },
+                        deprecationReason: "Use posts(filter: { tagsAny: [...] })." },
+      searchPosts:    { type: "[Post!]!",     args: { keyword: "String!" }, cost: 5, listSize: rowCount(posts),
+                        deprecationReason: "Use search(query: ..., in: [POST])." },
+      search:         { type: "SearchPage!",  args: {
+        query:  "String!",
+        in:     "[SearchTarget!]",
+        limit:  "Int",
+        offset: "Int",
+        first:  "Int",
+        after:  "String",
+        last:   "Int",
+        before: "String"
+      }, cost: 5, listSize: rowCount(posts, comments) },
+      comment:        { type: "Comment",      args: { id: "ID!" } },
+      commentsOnPost: { type: "CommentPage!", args: {
+        postId: "ID!",
+        filter: "CommentFilter",
+        limit:  "Int",
+        offset: "Int",
+        first:  "Int",
+        after:  "String",
+        last:   "Int",
+        before: "String"
+      }},
+      comments:       { type: "CommentPage!", args: {
+        filter: "CommentFilter",
+        limit:  "Int",
+        offset: "Int",
+        first:  "Int",
+        after:  "String",
+        last:   "Int",
+        before: "String"
+      }, listSize: rowCount(comments) },
+      profile:        { type: "Profile",      args: { userId: "ID!" } },
+      siteStats:      { type: "SiteStats!", cost: 10 }
+    }},
+
+    Mutation: { kind: "OBJECT", fields: {
+      login:          { type: "AuthPayload!", args: { email: "String!", password: "String!" } },
+      createUser:     { type: "User!",     args: { input: "CreateUserInput!" },                   auth: ["defaultRole", "admin"] },
+      updateUser:     { type: "User!",     args: { id: "ID!", input: "UpdateUserInput!" },        auth: ["ownAccount", "admin"] },
+      deleteUser:     { type: "Boolean!",  args: { id: "ID!" },                                   auth: ["ownAccount", "admin"] },
+      createPost:     { type: "Post!",     args: { input: "CreatePostInput!" },                   auth: "inputAuthor" },
+      updatePost:     { type: "Post!",     args: { id: "ID!", input: "UpdatePostInput!" },        auth: "postAuthor" },
+      revertPost:     { type: "Post!",     args: { id: "ID!", revisionId: "ID!" },                auth: "postAuthor" },
+      deletePost:     { type: "Boolean!",  args: { id: "ID!" },                                   auth: ["postAuthor", "moderator"] },
+      createComment:  { type: "Comment!",  args: { input: "CreateCommentInput!" },                auth: "inputAuthor" },
+      updateComment:  { type: "Comment!",  args: { id: "ID!", input: "UpdateCommentInput!" },     auth: "commentAuthor" },
+      deleteComment:  { type: "Boolean!",  args: { id: "ID!" },                                   auth: ["commentAuthor", "moderator"] },
+      updateProfile:  { type: "Profile!",  args: { userId: "ID!", input: "UpdateProfileInput!" }, auth: "profileOwner" },
+      deleteProfile:  { type: "Boolean!",  args: { userId: "ID!" },                               auth: ["profileOwner", "admin"] },
+      addReaction:    { type: "Reaction!", args: { input: "ReactionInput!" },                     auth: "signedIn" },
+      removeReaction: { type: "Boolean!",  args: { input: "ReactionInput!" },                     auth: "signedIn" }
+    }},
+
+    Subscription: { kind: "OBJECT", fields: {
+      postCreated:  "Post!",
+      postUpdated:  { type: "Post!",    args: { id: "ID" } },
+      postDeleted:  "ID!",
+      commentAdded: { type: "Comment!", args: { postId: "ID" } }
+    }}
+  }
+});
+
 // ============================================================
 // GraphiQL HTML – a minimal, self-contained IDE page
 // ============================================================
@@ -1017,15 +5574,107 @@ function readBody(req, callback) {
 // ============================================================
 // Send helpers
 // ============================================================
-function sendJSON(res, statusCode, obj) {
+//   headers – optional extra headers; may override Content-Type
+function sendJSON(res, statusCode, obj, headers) {
   var payload = JSON.stringify(obj);
-  res.writeHead(statusCode, {
-    "Content-Type":   "application/json",
-    "Content-Length": Buffer.byteLength(payload)
-  });
+  var head    = { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(payload) };
+  Object.keys(headers || {}).forEach(function(name) { head[name] = headers[name]; });
+  res.writeHead(statusCode, head);
   res.end(payload);
 }
 
+// --------------------------------------------------------
+// GraphQL-over-HTTP content negotiation. A response is sent as
+// application/json unless the client's Accept header prefers
+// application/graphql-response+json; at equal preference
+// application/json wins, so send the newer type alone or with
+// `application/json;q=0.9`. In the newer type status codes follow
+// the spec: a request refused before it runs (a response without
+// `data`) is 400 rather than 200.
+// --------------------------------------------------------
+var GRAPHQL_RESPONSE_JSON = "application/graphql-response+json";
+var GRAPHQL_MEDIA_TYPES   = ["application/json", GRAPHQL_RESPONSE_JSON];
+
+// --- Accept header → [{ type, q }] ---
+function parseAccept(header) {
+  return header.split(",").map(function(part) {
+    var pieces = part.split(";");
+    var q = 1;
+    pieces.slice(1).forEach(function(param) {
+      var kv = param.split("=");
+      if (kv[0].trim() === "q") q = parseFloat(kv[1]);
+    });
+    return { type: pieces[0].trim().toLowerCase(), q: isNaN(q) ? 0 : q };
+  });
+}
+
+// --- the offered type the client prefers, or null if none is acceptable. The
+//     most specific range sets each type's q; at equal q an exact match beats
+//     a wildcard, then the earlier offer wins ---
+function preferredMediaType(req, offered) {
+  if (!req.headers.accept) return offered[0];
+  var ranges = parseAccept(req.headers.accept);
+
+  var best = null;
+  offered.forEach(function(type) {
+    var match = null;
+    ranges.forEach(function(range) {
+      var specificity = range.type === type                        ? 3
+                      : range.type === type.split("/")[0] + "/*"  ? 2
+                      : range.type === "*/*"                      ? 1
+                      : 0;
+      if (specificity && (!match || specificity > match.specificity)) {
+        match = { specificity: specificity, q: range.q };
+      }
+    });
+    if (match && match.q > 0 &&
+        (!best || match.q > best.q || (match.q === best.q && match.specificity > best.specificity))) {
+      best = { type: type, q: match.q, specificity: match.specificity };
+    }
+  });
+  return best ? best.type : null;
+}
+
+//   body – one response, or a batch's array of them (always 200)
+function sendGraphQL(res, mediaType, statusCode, body, headers) {
+  if (mediaType === GRAPHQL_RESPONSE_JSON && statusCode === 200 && !Array.isArray(body) && !("data" in body)) {
+    statusCode = 400;
+  }
+  var head = { "Content-Type": mediaType + "; charset=utf-8" };
+  Object.keys(headers || {}).forEach(function(name) { head[name] = headers[name]; });
+  sendJSON(res, statusCode, body, head);
+}
+
+// --------------------------------------------------------
+// Server-Sent Events, in the graphql-sse "distinct connections"
+// format: an `event: next` per result, then `event: complete`.
+// --------------------------------------------------------
+function wantsEventStream(req) {
+  return (req.headers.accept || "").indexOf("text/event-stream") !== -1;
+}
+
+function openEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type":  "text/event-stream; charset=utf-8",
+    "Cache-Control": res.getHeader("Cache-Control") || "no-cache",
+    "Connection":    "keep-alive"
+  });
+  // a comment line now and then stops proxies closing an idle stream
+  var keepAlive = setInterval(function() { res.write(":\n\n"); }, 15000);
+  res.on("close", function() { clearInterval(keepAlive); });
+
+  return {
+    next: function(result) {
+      if (res.writableEnded || res.destroyed) return;
+      res.write("event: next\ndata: " + JSON.stringify(result) + "\n\n");
+    },
+    complete: function() {
+      clearInterval(keepAlive);
+      res.end("event: complete\ndata:\n\n");
+    }
+  };
+}
+
 function sendHTML(res, html) {
   res.writeHead(200, {
     "Content-Type":   "text/html; charset=utf-8",
@@ -1042,50 +5691,433 @@ function sendText(res, text) {
   res.end(text);
 }
 
+// ============================================================
+// Documents — persisted queries and the parsed-document cache
+// Clients using automatic persisted queries (APQ) send
+//   extensions: { persistedQuery: { version: 1, sha256Hash } }
+// and leave out the query text once the server knows the hash.
+// An unknown hash is answered with PersistedQueryNotFound; the
+// client then resends the text with its hash, which registers
+// it once it has parsed and validated. Client registrations are
+// kept in an LRU cache of PERSISTED_QUERY_CACHE_SIZE; the queries
+// loaded from PERSISTED_QUERIES_FILE are kept apart and never
+// dropped. With PERSISTED_QUERIES_ONLY nothing new is registered
+// and only the loaded queries may run.
+// Each distinct text is parsed and validated once; the result is
+// kept in an LRU cache keyed by its hash.
+// ============================================================
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function LRUCache(limit) {
+  this.limit   = limit;
+  this.entries = new Map(); // iterates oldest first
+}
+
+LRUCache.prototype.get = function(key) {
+  if (!this.entries.has(key)) return undefined;
+  var value = this.entries.get(key);
+  // re-inserting makes it the most recently used
+  this.entries.delete(key);
+  this.entries.set(key, value);
+  return value;
+};
+
+LRUCache.prototype.set = function(key, value) {
+  this.entries.delete(key);
+  this.entries.set(key, value);
+  if (this.entries.size > this.limit) {
+    this.entries.delete(this.entries.keys().next().value);
+  }
+};
+
+var persistedQueries       = Object.create(null); // sha256Hash → query text, from PERSISTED_QUERIES_FILE
+var clientPersistedQueries = new LRUCache(PERSISTED_QUERY_CACHE_SIZE);
+var documentCache          = new LRUCache(DOCUMENT_CACHE_SIZE);
+
+function registerPersistedQuery(query) {
+  var hash = sha256(query);
+  persistedQueries[hash] = query;
+  return hash;
+}
+
+function findPersistedQuery(hash) {
+  return persistedQueries[hash] || clientPersistedQueries.get(hash) || null;
+}
+
+// --- the manifest maps each hash to its query; a wrong hash fails boot ---
+function loadPersistedQueries(file) {
+  var manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  Object.keys(manifest).forEach(function(hash) {
+    if (registerPersistedQuery(manifest[hash]) !== hash) {
+      throw new Error("Persisted query " + hash + " in " + file + " does not match its hash.");
+    }
+  });
+}
+
+// --------------------------------------------------------
+// resolveQueryText(query, extensions)
+// The text to run, from the request's query and/or persisted-query
+// hash, or { status, error } when it cannot be used. `register` is
+// set when the client sent the text for a hash; prepareOperation
+// registers it once the document is known to be valid.
+// --------------------------------------------------------
+function resolveQueryText(query, extensions) {
+  var persisted = extensions && extensions.persistedQuery;
+
+  if (persisted) {
+    if (persisted.version !== 1 || typeof persisted.sha256Hash !== "string") {
+      return { status: 400, error: { message: "Unsupported persisted query; send { version: 1, sha256Hash }." } };
+    }
+    if (!query) {
+      query = findPersistedQuery(persisted.sha256Hash);
+      if (!query) {
+        return { status: 200, error: codedError("PERSISTED_QUERY_NOT_FOUND", "PersistedQueryNotFound") };
+      }
+      return { query: query };
+    }
+    if (typeof query === "string" && sha256(query) !== persisted.sha256Hash) {
+      return { status: 400, error: { message: "The persisted query's sha256Hash does not match its query." } };
+    }
+  }
+
+  if (!query || typeof query !== "string") {
+    return { status: 400, error: { message: "Must provide a 'query' string." } };
+  }
+
+  var hash = sha256(query);
+  if (PERSISTED_QUERIES_ONLY && !persistedQueries[hash]) {
+    return { status: 200, error: codedError("PERSISTED_QUERY_NOT_ALLOWED", "Only registered persisted queries may run on this server.") };
+  }
+  return { query: query, register: !!persisted };
+}
+
+// --- { ast, errors } for a query text; syntax errors throw and are not cached ---
+function loadDocument(query) {
+  var key    = sha256(query);
+  var cached = documentCache.get(key);
+  if (cached) return cached;
+
+  var ast   = parse(query);
+  var entry = { ast: ast, errors: validate(schema, ast) };
+  documentCache.set(key, entry);
+  return entry;
+}
+
+// ============================================================
+// Request context — one per request, passed to every resolver
+// ============================================================
+//   viewer – the authenticated user's row, or null for anonymous requests
+function createContext(viewer) {
+  return { loaders: createLoaders(), viewer: viewer || null };
+}
+
+// ============================================================
+// Run one GraphQL request
+//   params – { query, variables, operationName, extensions } as sent, from
+//            the JSON body or the URL's query string
+// Subscriptions, and any operation whose client asks for
+// `Accept: text/event-stream`, are answered as Server-Sent Events.
+// A JSON array of params is a batch: each entry runs in turn and
+// the response is the array of their results.
+// ============================================================
+function operationType(ast, operationName) {
+  try {
+    return getOperation(ast, operationName).operation;
+  } catch (err) {
+    return null; // execute() reports the same problem
+  }
+}
+
+// --- a response decided before (or instead of) running anything ---
+function refusal(status, errors, headers) {
+  return { response: { status: status, body: { errors: errors }, headers: headers } };
+}
+
+// --------------------------------------------------------
+// prepareOperation(req, params, viewer)
+// Checks the params, then parses, validates and sizes the
+// document. Returns { response } when the request is answered
+// without running, otherwise what execute / subscribe need:
+// { ast, variables, operationName, type, context, complexity }.
+// --------------------------------------------------------
+function prepareOperation(req, params, viewer) {
+  try {
+    var variables     = params.variables;
+    var operationName = params.operationName || null;
+    var extensions    = params.extensions;
+
+    // some clients send variables and extensions as JSON-encoded strings
+    if (typeof extensions === "string") {
+      extensions = extensions ? JSON.parse(extensions) : null;
+    }
+    var text = resolveQueryText(params.query, extensions);
+    if (text.error) {
+      return refusal(text.status, [text.error]);
+    }
+
+    if (typeof variables === "string") {
+      variables = variables ? JSON.parse(variables) : null;
+    }
+    if (variables !== undefined && variables !== null &&
+        (typeof variables !== "object" || Array.isArray(variables))) {
+      return refusal(400, [{ message: "'variables' must be a JSON object." }]);
+    }
+    if (operationName !== null && typeof operationName !== "string") {
+      return refusal(400, [{ message: "'operationName' must be a string." }]);
+    }
+
+    // 1) Parse the query string into an AST and
+    // 2) validate it against the schema — both cached per text; nothing runs if it fails
+    var document = loadDocument(text.query);
+    var ast      = document.ast;
+    if (document.errors.length) {
+      return refusal(200, document.errors);
+    }
+    if (text.register) {
+      clientPersistedQueries.set(sha256(text.query), text.query);
+    }
+
+    // 2b) Size it up — an operation over QUERY_LIMITS is refused unrun
+    var analysis   = analyzeQuery(schema, ast, operationName, variables);
+    var complexity = analysis && {
+      cost: analysis.cost, depth: analysis.depth, breadth: analysis.breadth
+    };
+    var tooComplex = analysis ? complexityErrors(analysis, QUERY_LIMITS) : [];
+    if (tooComplex.length) {
+      var refused = refusal(200, tooComplex);
+      refused.response.body.extensions = { complexity: complexity };
+      return refused;
+    }
+
+    var type = operationType(ast, operationName);
+    if (type === "mutation" && req.method === "GET") {
+      return refusal(405, [{ message: "Mutations must be sent with POST." }], { "Allow": "POST" });
+    }
+
+    return {
+      ast:           ast,
+      variables:     variables,
+      operationName: operationName,
+      type:          type,
+      context:       createContext(viewer),
+      complexity:    complexity
+    };
+  } catch (err) {
+    // syntax errors arrive as GraphQLErrors with locations; bad JSON as plain Errors
+    return refusal(400, [err instanceof GraphQLError ? err : { message: err.message }]);
+  }
+}
+
+// --- 3) Execute a prepared query or mutation against our resolvers;
+//     resolves to { status, body } once the whole tree has settled ---
+function executeOperation(op) {
+  return execute(op.ast, op.variables, op.operationName, op.context).then(function(result) {
+    if (op.complexity) {
+      result.extensions = { complexity: op.complexity };
+    }
+    if (REPORT_LOADER_STATS) {
+      result.extensions = result.extensions || {};
+      result.extensions.loaders = loaderStats(op.context.loaders);
+    }
+    // a result with `data` is 200 even when some fields failed
+    return { status: 200, body: result };
+  });
+}
+
+// --- one query or mutation from start to finish → { status, body, headers } ---
+function runOperation(req, params, viewer) {
+  var op = prepareOperation(req, params, viewer);
+  if (op.response) return Promise.resolve(op.response);
+
+  if (op.type === "subscription") {
+    return Promise.resolve(refusal(400, [{ message: "Subscriptions are delivered as Server-Sent Events; send 'Accept: text/event-stream'." }]).response);
+  }
+  return executeOperation(op);
+}
+
+// --- the negotiated media type and the signed-in user, or false once a
+//     response refusing the request has been sent ---
+function beginRequest(req, res) {
+  // errors before an event stream opens are sent as plain JSON
+  var mediaType = wantsEventStream(req) ? "application/json" : preferredMediaType(req, GRAPHQL_MEDIA_TYPES);
+  if (!mediaType) {
+    sendJSON(res, 406, { errors: [{ message: "Responses are sent as " + GRAPHQL_MEDIA_TYPES.join(" or ") + "." }] });
+    return false;
+  }
+
+  // a token that fails verification is refused outright rather than
+  // quietly treated as anonymous
+  try {
+    return { mediaType: mediaType, viewer: authenticate(req.headers.authorization) };
+  } catch (err) {
+    sendGraphQL(res, mediaType, 401, { errors: [err] });
+    return false;
+  }
+}
+
+function handleGraphQL(req, res, params) {
+  var begun = beginRequest(req, res);
+  if (!begun) return;
+
+  // 4) respond with the settled result
+  if (!wantsEventStream(req)) {
+    runOperation(req, params, begun.viewer).then(function(response) {
+      if (response.status === 200 && response.body.data && !response.body.errors) {
+        allowPublicCaching(req, res);
+      }
+      sendGraphQL(res, begun.mediaType, response.status, response.body, response.headers);
+    });
+    return;
+  }
+
+  var op = prepareOperation(req, params, begun.viewer);
+  if (op.response) {
+    sendGraphQL(res, begun.mediaType, op.response.status, op.response.body, op.response.headers);
+    return;
+  }
+  var stream = openEventStream(res);
+
+  // 3a) Subscriptions stream one result per event until the client leaves
+  if (op.type === "subscription") {
+    var subscription = subscribe(op.ast, op.variables, op.operationName, op.context, stream.next);
+    if (subscription.errors) {
+      stream.next({ errors: subscription.errors });
+      stream.complete();
+      return;
+    }
+    res.on("close", subscription.unsubscribe);
+    return;
+  }
+
+  // 3b) anything else is one `next` event, then `complete`
+  executeOperation(op).then(function(response) {
+    stream.next(response.body);
+    stream.complete();
+  });
+}
+
+// --------------------------------------------------------
+// handleBatch(req, res, batch)
+// Runs each entry of a JSON array in order, as if it had been
+// posted alone, and answers with their results in the same order.
+// The batch shares one token; any other error belongs to its entry.
+// --------------------------------------------------------
+function handleBatch(req, res, batch) {
+  if (wantsEventStream(req)) {
+    sendJSON(res, 400, { errors: [{ message: "A batch cannot be streamed; send its operations one at a time." }] });
+    return;
+  }
+  if (batch.length === 0 || batch.length > MAX_BATCH_SIZE) {
+    sendJSON(res, 400, { errors: [{ message: "A batch must hold between 1 and " + MAX_BATCH_SIZE + " operations; got " + batch.length + "." }] });
+    return;
+  }
+
+  var begun = beginRequest(req, res);
+  if (!begun) return;
+
+  var results = [];
+  batch.reduce(function(previous, params) {
+    return previous.then(function() {
+      if (!params || typeof params !== "object" || Array.isArray(params)) {
+        return { body: { errors: [{ message: "Each entry of a batch must be a JSON object." }] } };
+      }
+      return runOperation(req, params, begun.viewer);
+    }).then(function(response) {
+      results.push(response.body);
+    });
+  }, Promise.resolve()).then(function() {
+    // entries' own statuses cannot be told apart in one response
+    sendGraphQL(res, begun.mediaType, 200, results);
+  });
+}
+
 // ============================================================
 // Request Handler
 // ============================================================
+// --------------------------------------------------------
+// HTTP caching of GET /graphql
+//   Every GET response varies with Accept (the IDE or JSON, and
+//   which JSON type) and with Authorization (whose data it is).
+//   With a token nothing may be stored. Without one, a result
+//   whose every field resolved may be cached by anyone for
+//   GET_CACHE_MAX_AGE seconds, and anything else not at all.
+// --------------------------------------------------------
+function setGetCacheHeaders(req, res) {
+  res.setHeader("Vary", "Accept, Authorization");
+  res.setHeader("Cache-Control", req.headers.authorization ? "private, no-store" : "no-store");
+}
+
+function allowPublicCaching(req, res) {
+  if (req.method === "GET" && !req.headers.authorization) {
+    res.setHeader("Cache-Control", "public, max-age=" + GET_CACHE_MAX_AGE);
+  }
+}
+
+// --- { query, variables, operationName, extensions } from a URL's query string ---
+function urlParams(url) {
+  return {
+    query:         url.searchParams.get("query"),
+    variables:     url.searchParams.get("variables"),
+    operationName: url.searchParams.get("operationName"),
+    extensions:    url.searchParams.get("extensions")
+  };
+}
+
 function handleRequest(req, res) {
-  var url    = req.url;
+  var url    = new URL(req.url, "http://localhost");
   var method = req.method;
 
   // --- GET / ---
-  if (url === "/" && method === "GET") {
+  if (url.pathname === "/" && method === "GET") {
     sendText(res, "GraphQL API Server is running.\nVisit http://localhost:" + PORT + "/graphql");
     return;
   }
 
-  // --- GET /graphql → serve GraphiQL IDE ---
-  if (url === "/graphql" && method === "GET") {
-    sendHTML(res, GRAPHIQL_HTML);
+  // --- GET /graphql → the GraphiQL IDE for a browser, otherwise run the query in the URL ---
+  if (url.pathname === "/graphql" && method === "GET") {
+    setGetCacheHeaders(req, res);
+    var offered = GRAPHQL_MEDIA_TYPES.concat("text/html");
+    if (!wantsEventStream(req) && preferredMediaType(req, offered) === "text/html") {
+      allowPublicCaching(req, res);
+      sendHTML(res, GRAPHIQL_HTML);
+      return;
+    }
+    handleGraphQL(req, res, urlParams(url));
     return;
   }
 
-  // --- POST /graphql → execute query ---
-  if (url === "/graphql" && method === "POST") {
+  // --- POST /graphql → execute query, from a JSON body or a bare application/graphql one ---
+  if (url.pathname === "/graphql" && method === "POST") {
+    var contentType = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+    if (contentType && contentType !== "application/json" && contentType !== "application/graphql") {
+      sendJSON(res, 415, { errors: [{ message: "The request body must be application/json or application/graphql." }] });
+      return;
+    }
     readBody(req, function(body) {
+      if (contentType === "application/graphql") {
+        var params = urlParams(url);
+        params.query = body;
+        handleGraphQL(req, res, params);
+        return;
+      }
+      var json;
       try {
-        var json  = JSON.parse(body);
-        var query = json.query;
-
-        if (!query || typeof query !== "string") {
-          sendJSON(res, 400, { errors: [{ message: "Must provide a 'query' string in the JSON body." }] });
-          return;
-        }
-
-        // 1) Parse the query string into an AST
-        var ast = parse(query);
-
-        // 2) Execute the AST against our resolvers
-        var result = execute(ast);
-
-        // 3) Respond
-        var status = result.errors ? 200 : 200; // GraphQL always 200 by convention
-        sendJSON(res, status, result);
-
+        json = JSON.parse(body);
       } catch (err) {
         sendJSON(res, 400, { errors: [{ message: err.message }] });
+        return;
       }
+      if (Array.isArray(json)) {
+        handleBatch(req, res, json);
+        return;
+      }
+      if (!json || typeof json !== "object") {
+        sendJSON(res, 400, { errors: [{ message: "The request body must be a JSON object or an array of them." }] });
+        return;
+      }
+      handleGraphQL(req, res, json);
     });
     return;
   }
@@ -1097,6 +6129,12 @@ function handleRequest(req, res) {
 // ============================================================
 // Boot
 // ============================================================
+if (USER_DELETE_POLICIES.indexOf(USER_DELETE_POLICY) === -1) {
+  throw new Error('Unknown USER_DELETE_POLICY "' + USER_DELETE_POLICY + '"; use ' + USER_DELETE_POLICIES.join(", ") + ".");
+}
+openStorage(STORAGE_MODE, DATA_DIR);
+if (PERSISTED_QUERIES_FILE) loadPersistedQueries(PERSISTED_QUERIES_FILE);
+
 var server = http.createServer(handleRequest);
 
 server.listen(PORT, function() {
@@ -1106,5 +6144,9 @@ server.listen(PORT, function() {
   console.log("============================================");
   console.log("   GraphiQL IDE  →  GET  /graphql");
   console.log("   Execute query →  POST /graphql");
+  console.log("   Subscribe     →  Accept: text/event-stream");
+  console.log("   Storage       →  " + (STORAGE_MODE === "file" ? DATA_DIR : "memory") +
+    (storage.tornBytes ? " (cut off a torn journal entry of " + storage.tornBytes + " bytes)" : ""));
+  console.log("   Persisted     →  " + (PERSISTED_QUERIES_ONLY ? "registered queries only" : "automatic (APQ)"));
   console.log("============================================");
 });